@@ -0,0 +1,65 @@
+/**
+ * Converts a hex bytecode string into a buffer. Unlinked library placeholders
+ * (e.g. __$abc...$__) are turned into zeros, since they are masked anyway.
+ * @param bytecode The hex bytecode (with or without 0x prefix).
+ * @returns {Buffer} The bytecode.
+ */
+function toBuffer(bytecode) {
+    const hex = (bytecode || "").replace(/^0x/, "").replace(/__\$[0-9a-fA-F]{34}\$__/g, "0".repeat(40));
+    return Buffer.from(hex, "hex");
+}
+
+/**
+ * Strips the CBOR-encoded metadata that solc appends to the runtime bytecode.
+ * Its length is encoded in the last two bytes, and it starts with a CBOR map
+ * (0xa1 to 0xa5 in practice). If there is no such metadata, the bytecode is
+ * returned as-is.
+ * @param code The bytecode.
+ * @returns {Buffer} The bytecode without the metadata.
+ */
+function stripMetadata(code) {
+    if (code.length < 2) return code;
+    const length = code.readUInt16BE(code.length - 2);
+    const start = code.length - 2 - length;
+    if (start < 0 || code[start] < 0xa1 || code[start] > 0xa5) return code;
+    return code.subarray(0, start);
+}
+
+/**
+ * Gets the ranges of a deployed bytecode that are only known after the
+ * deployment: the immutables and the linked libraries.
+ * @param immutableReferences The solc immutable references ({id: [{start, length}]}).
+ * @param linkReferences The solc link references ({source: {library: [{start, length}]}}).
+ * @returns {Array<{start: number, length: number}>} The ranges.
+ */
+function getVolatileRanges(immutableReferences, linkReferences) {
+    return [
+        ...Object.values(immutableReferences || {}).flat(),
+        ...Object.values(linkReferences || {}).map((libraries) => Object.values(libraries).flat()).flat()
+    ];
+}
+
+/**
+ * Compares the runtime bytecode deployed on-chain against the runtime bytecode
+ * of an artifact, ignoring the metadata hashes and the given volatile ranges
+ * (i.e. the immutables and the linked libraries).
+ * @param deployed The on-chain runtime bytecode (hex).
+ * @param compiled The artifact's runtime bytecode (hex).
+ * @param ranges The volatile ranges (see getVolatileRanges).
+ * @returns {boolean} Whether they match.
+ */
+function isSameBytecode(deployed, compiled, ranges) {
+    const left = Buffer.from(stripMetadata(toBuffer(deployed)));
+    const right = Buffer.from(stripMetadata(toBuffer(compiled)));
+    if (left.length !== right.length) return false;
+    ranges.forEach(({start, length}) => {
+        if (start + length > left.length) return;
+        left.fill(0, start, start + length);
+        right.fill(0, start, start + length);
+    });
+    return left.equals(right);
+}
+
+module.exports = {
+    getVolatileRanges, isSameBytecode
+}
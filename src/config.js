@@ -0,0 +1,141 @@
+const path = require("path");
+
+/**
+ * The default deploy-everything settings file, relative to the project root.
+ */
+const DEFAULT_SETTINGS_FILE = path.join("ignition", "deploy-everything.json");
+
+/**
+ * The chain ids of the local (development) networks, when the `localChainIds`
+ * allow-list is not configured. Every other chain is protected.
+ */
+const DEFAULT_LOCAL_CHAIN_IDS = [31337, 1337];
+
+/**
+ * The keys of the per-network defaults, along with the type of their values.
+ */
+const NETWORK_DEFAULT_KEYS = {
+    strategy: "string", deploymentId: "string", parameters: "string", defaultSender: "string", verify: "boolean",
+    protected: "boolean"
+};
+
+/**
+ * Resolves the `deployEverything` section of the hardhat config. It looks like:
+ * {
+ *     settingsFile?: "ignition/deploy-everything.json",
+ *     profile?: "some-profile",
+ *     localChainIds?: [31337, 1337],
+ *     networks?: {
+ *         mainnet: {strategy?, deploymentId?, parameters?, defaultSender?, verify?, protected?}
+ *     }
+ * }
+ * @param root The project root.
+ * @param userConfig The `deployEverything` section given by the user (it might be undefined).
+ * @returns {{settingsFile: string, profile: string|undefined, localChainIds: Array<number>|undefined,
+ * networks: Object}} The resolved section (the settings file becomes absolute). If the given
+ * section is invalid, an error is raised.
+ */
+function resolveDeployEverythingConfig(root, userConfig) {
+    const errors = [];
+    const isObject = (value) => !!value && typeof value === "object" && !Array.isArray(value);
+    const isName = (value) => typeof value === "string" && value.length > 0;
+    const config = userConfig === undefined ? {} : userConfig;
+    if (!isObject(config)) {
+        throw new Error("The deployEverything config must be an object.");
+    }
+    Object.keys(config).filter((key) => {
+        return !["settingsFile", "profile", "localChainIds", "networks"].includes(key);
+    }).forEach((key) => {
+        errors.push(`${key} is not an allowed key`);
+    });
+    if (config.settingsFile !== undefined && !isName(config.settingsFile)) {
+        errors.push("settingsFile must be a non-empty string");
+    }
+    if (config.profile !== undefined && !isName(config.profile)) {
+        errors.push("profile must be a non-empty string");
+    }
+    const isChainId = (value) => Number.isInteger(value) && value >= 0;
+    if (config.localChainIds !== undefined && !(
+        Array.isArray(config.localChainIds) && config.localChainIds.every(isChainId)
+    )) {
+        errors.push("localChainIds must be an array of chain ids (non-negative integers)");
+    }
+    if (config.networks !== undefined && !isObject(config.networks)) {
+        errors.push("networks must be an object");
+    } else {
+        Object.entries(config.networks || {}).forEach(([network, defaults]) => {
+            if (!isObject(defaults)) {
+                errors.push(`networks.${network} must be an object`);
+                return;
+            }
+            Object.entries(defaults).forEach(([key, value]) => {
+                if (!NETWORK_DEFAULT_KEYS[key]) {
+                    errors.push(`networks.${network}.${key} is not an allowed key`);
+                } else if (typeof value !== NETWORK_DEFAULT_KEYS[key]) {
+                    errors.push(`networks.${network}.${key} must be a ${NETWORK_DEFAULT_KEYS[key]}`);
+                }
+            });
+        });
+    }
+    if (errors.length) {
+        throw new Error(`The deployEverything config is invalid:\n${errors.map((e) => `  - ${e}`).join("\n")}`);
+    }
+    return {
+        settingsFile: path.resolve(root, config.settingsFile || DEFAULT_SETTINGS_FILE),
+        profile: config.profile,
+        localChainIds: config.localChainIds,
+        networks: config.networks || {}
+    };
+}
+
+/**
+ * Gets the deploy-everything defaults configured for a network.
+ * @param hre The hardhat runtime environment.
+ * @param network The network name (by default, the current network's name).
+ * @returns {{strategy?, deploymentId?, parameters?, defaultSender?, verify?, protected?}} The defaults.
+ */
+function getNetworkDefaults(hre, network = hre.network.name) {
+    return ((hre.config.deployEverything || {}).networks || {})[network] || {};
+}
+
+/**
+ * Tells whether a chain id is in the `localChainIds` allow-list (by default:
+ * 31337 and 1337).
+ * @param hre The hardhat runtime environment.
+ * @param chainId The chain id.
+ * @returns {boolean} Whether it is a local chain id.
+ */
+function isLocalChainId(hre, chainId) {
+    return ((hre.config.deployEverything || {}).localChainIds || DEFAULT_LOCAL_CHAIN_IDS).includes(chainId);
+}
+
+/**
+ * Tells whether the current network is protected. When its defaults have the
+ * `protected` flag, the flag tells it (so `protected: false` is an explicit
+ * opt-out for a non-local chain, e.g. a throwaway testnet). Otherwise, it is
+ * protected when its chain id is not in the `localChainIds` allow-list.
+ * @param hre The hardhat runtime environment.
+ * @param chainId The chain id of the current network.
+ * @returns {boolean} Whether it is protected.
+ */
+function isProtectedNetwork(hre, chainId) {
+    const marked = getNetworkDefaults(hre).protected;
+    return marked !== undefined ? marked : !isLocalChainId(hre, chainId);
+}
+
+/**
+ * Tells whether the current network is a local (development) one, i.e. its
+ * chain id is in the `localChainIds` allow-list and it is not marked as
+ * `protected`. Opting a non-local chain out of the protection does not make
+ * it a local one.
+ * @param hre The hardhat runtime environment.
+ * @param chainId The chain id of the current network.
+ * @returns {boolean} Whether it is local.
+ */
+function isLocalNetwork(hre, chainId) {
+    return !getNetworkDefaults(hre).protected && isLocalChainId(hre, chainId);
+}
+
+module.exports = {
+    resolveDeployEverythingConfig, getNetworkDefaults, isProtectedNetwork, isLocalNetwork
+}
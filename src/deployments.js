@@ -1,5 +1,14 @@
 const fs = require("fs");
 const path = require("path");
+const {
+    mergeParameters, findMissingParameters, getParametersFiles, collectModuleParameters
+} = require("./parameters");
+const {SETTINGS_VERSION, migrateSettings, validateSettings, serializeSettings} = require("./settings");
+const {getVolatileRanges, isSameBytecode} = require("./bytecode");
+const {resolvePlaceholders} = require("./templates");
+const {loadHook, getHookFiles, runHooks} = require("./hooks");
+const {hasModuleExtension, resolveSpecifier, loadModuleFile} = require("./loader");
+const {expandNetworkTemplate, findNetworkByChainId} = require("./networks");
 
 /**
  * Returns the base directory of the project. It removes any
@@ -47,38 +56,339 @@ function normalizeByProjectPrefix(hre, file) {
 }
 
 /**
- * Loads the deploy-everything settings from the ignition/deploy-everything.json
- * file (this file must be maintained and committed).
+ * Gets the filename a module is registered with in the deploy-everything
+ * settings: external modules are taken as-is while project modules are
+ * normalized by the project prefix.
  * @param hre The hardhat runtime environment.
- * @returns {{contents: Array}} The deploy-everything settings.
+ * @param file The module file.
+ * @param external Whether it is externally imported or not.
+ * @returns {string} The registered filename.
  */
-function loadDeployEverythingSettings(hre) {
-    // Determine the path to the deploy-everything file.
+function getModuleFilename(hre, file, external) {
+    return external ? file : normalizeByProjectPrefix(hre, file).file;
+}
+
+/**
+ * Gets the path of the deploy-everything settings file of the project: the
+ * one in the `deployEverything.settingsFile` config or, by default, the
+ * ignition/deploy-everything.json file.
+ * @param hre The hardhat runtime environment.
+ * @returns {string} The (absolute) settings file.
+ */
+function getSettingsFile(hre) {
+    const file = (hre.config.deployEverything || {}).settingsFile;
+    if (file) return file;
     const root = getProjectPrefix(hre) + "/";
-    const file = path.resolve(root, "ignition", "deploy-everything.json");
+    return path.resolve(root, "ignition", "deploy-everything.json");
+}
 
+/**
+ * Reads a deploy-everything settings file. Older versions of the format are
+ * migrated to the current one, and the result is validated (see
+ * schema/deploy-everything.schema.json).
+ * @param file The (absolute) settings file.
+ * @returns {{version: number, contents: Array}|undefined} The settings, or undefined
+ * if the file does not exist. If it is malformed or invalid, an error is raised (with
+ * an `errors` key listing each problem).
+ */
+function readSettingsFile(file) {
     // Load it.
+    let content = "";
+    try {
+        content = fs.readFileSync(file, {encoding: 'utf8'});
+    } catch(e) {
+        if (e.code === "ENOENT") return undefined;
+        throw e;
+    }
+    let settings = null;
     try {
-        const content = fs.readFileSync(file, {encoding: 'utf8'});
-        return JSON.parse(content);
+        settings = JSON.parse(content);
     } catch(e) {
-        return {contents: []};
+        throw new Error(`The deploy-everything settings file is not valid JSON: ${file} (${e.message}).`);
     }
+
+    // Migrate and validate it.
+    settings = migrateSettings(settings);
+    const errors = validateSettings(settings);
+    if (errors.length) {
+        const error = new Error(
+            `The deploy-everything settings file is invalid: ${file}:\n` +
+            errors.map((e) => `  - ${e}`).join("\n")
+        );
+        error.errors = errors;
+        throw error;
+    }
+    return settings;
+}
+
+/**
+ * Loads the deploy-everything settings from the settings file (by default,
+ * ignition/deploy-everything.json; this file must be maintained and committed).
+ * See getSettingsFile and readSettingsFile.
+ * @param hre The hardhat runtime environment.
+ * @returns {{version: number, contents: Array}} The deploy-everything settings.
+ * If the file does not exist, empty settings are returned. If it is malformed
+ * or invalid, an error is raised (with an `errors` key listing each problem).
+ */
+function loadDeployEverythingSettings(hre) {
+    return readSettingsFile(getSettingsFile(hre)) || {version: SETTINGS_VERSION, contents: []};
 }
 
 /**
- * Saves the deploy-everything settings into the ignition/deploy-everything.json
- * file (this file must be maintained and committed).
+ * Saves the deploy-everything settings into the settings file (by default,
+ * ignition/deploy-everything.json; this file must be maintained and committed).
+ * It is always saved in the current version of the format, and pretty-printed
+ * in a stable way.
  * @param settings The deploy-everything settings.
  * @param hre The hardhat runtime environment.
  */
 function saveDeployEverythingSettings(settings, hre) {
-    // Determine the path to the deploy-everything file.
-    const root = getProjectPrefix(hre);
-    const file = path.resolve(root, "ignition", "deploy-everything.json");
+    fs.writeFileSync(getSettingsFile(hre), serializeSettings(settings), {encoding: 'utf8'});
+}
+
+/**
+ * Tells whether a profile name stands for the default profile (i.e. the
+ * top-level contents of the settings).
+ * @param profile The profile name.
+ * @returns {boolean} Whether it is the default profile.
+ */
+function isDefaultProfile(profile) {
+    return !profile || profile === "default";
+}
+
+/**
+ * Gets the own contents of a profile (i.e. not including the ones of the
+ * profiles it extends).
+ * @param settings The deploy-everything settings.
+ * @param profile The profile name. If not given (or "default"), the top-level
+ * contents are used.
+ * @returns {Array} The own contents of the profile (empty if it does not exist).
+ */
+function getProfileContents(settings, profile) {
+    if (isDefaultProfile(profile)) return settings.contents || [];
+    return ((settings.profiles || {})[profile] || {}).contents || [];
+}
+
+/**
+ * Sets the own contents of a profile (creating the profile if it does not
+ * exist).
+ * @param settings The deploy-everything settings.
+ * @param profile The profile name. If not given (or "default"), the top-level
+ * contents are set.
+ * @param contents The new own contents of the profile.
+ */
+function setProfileContents(settings, profile, contents) {
+    if (isDefaultProfile(profile)) {
+        settings.contents = contents;
+    } else {
+        settings.profiles ||= {};
+        settings.profiles[profile] ||= {};
+        settings.profiles[profile].contents = contents;
+    }
+}
+
+/**
+ * Tells whether an entry of the deploy-everything settings includes another
+ * settings file (instead of being a module).
+ * @param entry The entry.
+ * @returns {boolean} Whether it is an include entry.
+ */
+function isIncludeEntry(entry) {
+    return entry.type === "include";
+}
+
+/**
+ * Collects the entries of a profile: the entries of the profiles it extends
+ * (in the order they are declared) followed by its own entries. The include
+ * entries are not expanded here.
+ * @param settings The deploy-everything settings.
+ * @param profile The profile name. If not given (or "default"), the top-level
+ * contents are used.
+ * @param visiting The profiles being resolved (used to detect cycles).
+ * @returns {Array} The collected entries.
+ */
+function collectProfileEntries(settings, profile, visiting = []) {
+    profile = isDefaultProfile(profile) ? "default" : profile;
+    if (visiting.includes(profile)) {
+        throw new Error(`The profiles extend each other in a cycle: ${[...visiting, profile].join(" -> ")}.`);
+    }
+    if (profile !== "default" && !(settings.profiles || {})[profile]) {
+        throw new Error(`The profile does not exist: ${profile}.`);
+    }
+    const parents = profile === "default" ? [] : [].concat(settings.profiles[profile].extends || []);
+    return [
+        ...parents.map((parent) => collectProfileEntries(settings, parent, [...visiting, profile])).flat(),
+        ...getProfileContents(settings, profile)
+    ];
+}
 
-    // Save it.
-    fs.writeFileSync(file, JSON.stringify(settings), {encoding: 'utf8'});
+/**
+ * Resolves the file of an include entry: a project-relative file or, for
+ * external entries, a package path.
+ * @param hre The hardhat runtime environment.
+ * @param include The include entry.
+ * @returns {string} The absolute file.
+ */
+function resolveIncludeFile(hre, include) {
+    if (!include.external) return path.resolve(hre.config.paths.root, include.filename);
+    try {
+        return require.resolve(include.filename, {paths: [hre.config.paths.root]});
+    } catch(e) {
+        throw new Error(`The included settings file does not exist: ${include.filename}.`);
+    }
+}
+
+/**
+ * Rebases an entry of an included settings file, so it can be used from the
+ * including project. The project entries (and hooks) of an included file are
+ * relative to its own project: the parent of its ignition directory. They
+ * become external entries (package paths) when the file comes from a package,
+ * or entries relative to the project otherwise. External entries are kept.
+ * @param include The include entry (already rebased, if nested).
+ * @param file The absolute included file.
+ * @param entry The entry to rebase.
+ * @returns {Object} The rebased entry.
+ */
+function rebaseIncludedEntry(include, file, entry) {
+    if (entry.external) return entry;
+    const prefix = path.posix.dirname(path.posix.dirname(include.filename));
+    const rebased = {...entry, external: !!include.external, filename: path.posix.join(prefix, entry.filename)};
+    ["before", "after"].filter((key) => entry[key] !== undefined).forEach((key) => {
+        rebased[key] = [].concat(entry[key]).map((hook) => include.external
+            ? path.resolve(path.dirname(path.dirname(file)), hook)
+            : path.posix.join(prefix, hook));
+    });
+    return rebased;
+}
+
+/**
+ * Merges the aliases of an included settings file with the ones in effect
+ * where it is included: its own aliases come first (and win over the inherited
+ * ones with the same name), followed by the inherited ones.
+ * @param own The aliases declared in the included file.
+ * @param inherited The aliases in effect in the including file.
+ * @returns {Object} The merged aliases.
+ */
+function mergeAliases(own, inherited) {
+    own = own || {};
+    return {...own, ...Object.fromEntries(Object.entries(inherited || {}).filter(([alias]) => !(alias in own)))};
+}
+
+/**
+ * Expands the include entries of a list of entries, recursively, in place.
+ * Each expanded entry has a `source` key telling the chain of included files
+ * it comes from and an `aliases` key with the aliases in effect for it (see
+ * mergeAliases), which are used to match its chain conditions and variants.
+ * @param hre The hardhat runtime environment.
+ * @param entries The entries to expand.
+ * @param visiting The settings files being expanded (used to detect cycles).
+ * @param source The chain of included files the entries come from, if any.
+ * @param aliases The aliases in effect for the entries.
+ * @returns {Array<{entry, origin: string}>} The expanded entries, along with the
+ * settings file that lists each one.
+ */
+function expandIncludes(hre, entries, visiting, source, aliases) {
+    return entries.map((entry) => {
+        if (!isIncludeEntry(entry)) {
+            return [{entry: source ? {...entry, source, aliases} : entry, origin: visiting[visiting.length - 1]}];
+        }
+        const file = resolveIncludeFile(hre, entry);
+        if (visiting.includes(file)) {
+            throw new Error(`The settings files include each other in a cycle: ${[...visiting, file].join(" -> ")}.`);
+        }
+        const settings = readSettingsFile(file);
+        if (!settings) {
+            throw new Error(`The included settings file does not exist: ${entry.filename}.`);
+        }
+        const included = collectProfileEntries(settings, entry.profile).map((e) => rebaseIncludedEntry(entry, file, e));
+        return expandIncludes(
+            hre, included, [...visiting, file], source ? `${source} > ${entry.filename}` : entry.filename,
+            mergeAliases(settings.aliases, aliases)
+        );
+    }).flat();
+}
+
+/**
+ * Resolves the contents of a profile: the contents of the profiles it extends
+ * (in the order they are declared) followed by its own contents, with the
+ * include entries expanded in place (see expandIncludes). An entry that appears
+ * more than once in the same settings file (e.g. through several profiles) is
+ * only kept the first time, but a module listed by two different settings files
+ * is reported as an error.
+ * @param hre The hardhat runtime environment.
+ * @param settings The deploy-everything settings.
+ * @param profile The profile name. If not given (or "default"), the top-level
+ * contents are used.
+ * @returns {Array} The resolved contents.
+ */
+function resolveProfileContents(hre, settings, profile) {
+    const contents = [];
+    const origins = [];
+    expandIncludes(
+        hre, collectProfileEntries(settings, profile), [getSettingsFile(hre)], undefined, settings.aliases
+    ).forEach(({entry, origin}) => {
+        const index = contents.findIndex((e) => e.filename === entry.filename && !!e.external === !!entry.external);
+        if (index === -1) {
+            contents.push(entry);
+            origins.push(origin);
+        } else if (origins[index] !== origin) {
+            throw new Error(
+                `The module ${entry.filename} is listed more than once: in ${origins[index]} and in ${origin}.`
+            );
+        }
+    });
+    return contents;
+}
+
+/**
+ * Finds the index of an entry in the deploy-everything contents, given a
+ * reference to it. The reference is matched against external entries as-is
+ * and against project entries after normalizing it.
+ * @param hre The hardhat runtime environment.
+ * @param contents The deploy-everything contents.
+ * @param reference The module file being referenced.
+ * @returns {number} The index of the referenced entry.
+ */
+function findReferencedIndex(hre, contents, reference) {
+    const normalized = normalizeByProjectPrefix(hre, reference).file;
+    const index = contents.findIndex((e) => {
+        return e.external ? e.filename === reference : e.filename === normalized;
+    });
+    if (index === -1) {
+        throw new Error(`The referenced module is not added to the full deployment: ${reference}.`);
+    }
+    return index;
+}
+
+/**
+ * Resolves where to insert an entry in the deploy-everything contents.
+ * @param hre The hardhat runtime environment.
+ * @param contents The deploy-everything contents (not including the entry
+ * being inserted).
+ * @param placement An optional {before?, after?, position?} structure. At
+ * most one of those keys must be specified. If none is, the entry will be
+ * inserted at the end.
+ * @returns {number} The index to insert the entry at.
+ */
+function resolveInsertionIndex(hre, contents, placement) {
+    const {before, after, position} = placement || {};
+    const given = [before, after, position].filter((v) => v !== undefined && v !== null);
+    if (given.length > 1) {
+        throw new Error("Only one of before, after or position can be specified.");
+    }
+    if (before !== undefined && before !== null) {
+        return findReferencedIndex(hre, contents, before);
+    }
+    if (after !== undefined && after !== null) {
+        return findReferencedIndex(hre, contents, after) + 1;
+    }
+    if (position !== undefined && position !== null) {
+        if (!Number.isInteger(position) || position < 0 || position > contents.length) {
+            throw new Error(`The position must be an integer between 0 and ${contents.length}: ${position}.`);
+        }
+        return position;
+    }
+    return contents.length;
 }
 
 /**
@@ -87,8 +397,16 @@ function saveDeployEverythingSettings(settings, hre) {
  * @param hre The hardhat runtime environment.
  * @param file The module file being added.
  * @param external Whether it is externally imported or not.
+ * @param placement An optional {before?, after?, position?} structure telling
+ * where to insert the module. By default, it is appended.
+ * @param conditions An optional {onlyChains?, exceptChains?} structure telling
+ * the chain conditions of the module. Each one is an array (or comma-separated
+ * string) of chain ids, network names or aliases.
+ * @param profile The profile to add the module to (by default, the default
+ * profile). It is created if it does not exist.
+ * @returns {Promise<void>} Nothing (async function).
  */
-function addDeployEverythingModule(hre, file, external) {
+async function addDeployEverythingModule(hre, file, external, placement, conditions, profile) {
     external = !!external;
     let module = "";
     if (external) {
@@ -98,11 +416,7 @@ function addDeployEverythingModule(hre, file, external) {
             throw new Error(`The module starts with / (this is forbidden): ${file}.`);
         }
         // External files must succeed importing.
-        try {
-            require(file);
-        } catch(e) {
-            throw new Error(`Could not require() the external file: ${file}.`)
-        }
+        await importModule(hre, file, true, []);
         // Assign the module directly.
         module = file;
     }
@@ -113,23 +427,66 @@ function addDeployEverythingModule(hre, file, external) {
         if (!normalized.stripped) {
             throw new Error(`The module does not belong to the project: ${file}`);
         }
-        // Internal files must succeed importing.
-        try {
-            require(getProjectPrefix(hre) + "/" + normalized.file);
-        } catch(e) {
-            throw new Error(`Could not require() the project file: ${file}.`)
+        // Internal files must have a supported extension and succeed importing.
+        if (!hasModuleExtension(normalized.file)) {
+            throw new Error(`The module does not have a supported extension: ${file}.`);
         }
+        await importModule(hre, normalized.file, false, []);
         // Assign the module from the normalized path.
         module = normalized.file;
     }
 
-    // Load, check absence, append, and save.
+    // Load, check absence, insert, and save.
     let settings = loadDeployEverythingSettings(hre);
-    settings.contents ||= [];
-    if (!!settings.contents.find((e) => {
+    const contents = getProfileContents(settings, profile);
+    if (!!contents.find((e) => {
         return e.filename === module && e.external === external;
     })) throw new Error(`The module is already added to the full deployment: ${file}.`);
-    settings.contents = [...settings.contents, {filename: module, external: external}];
+    const index = resolveInsertionIndex(hre, contents, placement);
+    const entry = {filename: module, external: external};
+    const onlyChains = normalizeChains((conditions || {}).onlyChains);
+    const exceptChains = normalizeChains((conditions || {}).exceptChains);
+    if (onlyChains) entry.onlyChains = onlyChains;
+    if (exceptChains) entry.exceptChains = exceptChains;
+    setProfileContents(settings, profile, [...contents.slice(0, index), entry, ...contents.slice(index)]);
+    saveDeployEverythingSettings(settings, hre);
+}
+
+/**
+ * Adds an include entry to the deploy-everything settings: its entries are
+ * expanded in place (see expandIncludes). The resulting contents are resolved
+ * before saving, so missing files, cycles and duplicate modules are reported.
+ * @param hre The hardhat runtime environment.
+ * @param file The deploy-everything settings file to include.
+ * @param external Whether it comes from a package or from the project.
+ * @param placement An optional {before?, after?, position?} structure telling
+ * where to insert the entry. By default, it is appended.
+ * @param profile The profile to add the entry to (by default, the default
+ * profile). It is created if it does not exist.
+ * @param includedProfile The profile of the included file to use (by default,
+ * its default profile).
+ */
+function addDeployEverythingInclude(hre, file, external, placement, profile, includedProfile) {
+    external = !!external;
+    if (external && file.startsWith("/")) {
+        throw new Error(`The included file starts with / (this is forbidden): ${file}.`);
+    }
+    const filename = getModuleFilename(hre, file, external);
+    if (!external && !normalizeByProjectPrefix(hre, file).stripped) {
+        throw new Error(`The included file does not belong to the project: ${file}`);
+    }
+
+    // Load, check absence, insert, resolve, and save.
+    let settings = loadDeployEverythingSettings(hre);
+    const contents = getProfileContents(settings, profile);
+    if (!!contents.find((e) => {
+        return e.filename === filename && e.external === external;
+    })) throw new Error(`The file is already added to the full deployment: ${file}.`);
+    const index = resolveInsertionIndex(hre, contents, placement);
+    const entry = {type: "include", filename, external};
+    if (includedProfile) entry.profile = includedProfile;
+    setProfileContents(settings, profile, [...contents.slice(0, index), entry, ...contents.slice(index)]);
+    resolveProfileContents(hre, settings, profile);
     saveDeployEverythingSettings(settings, hre);
 }
 
@@ -138,50 +495,199 @@ function addDeployEverythingModule(hre, file, external) {
  * @param hre The hardhat runtime environment.
  * @param file The module file being removed.
  * @param external Whether the entry to remove is externally imported or not.
+ * @param profile The profile to remove the module from (by default, the default
+ * profile). Modules coming from extended profiles cannot be removed this way.
  */
-function removeDeployEverythingModule(hre, file, external) {
+function removeDeployEverythingModule(hre, file, external, profile) {
     external = !!external;
-    let module = external ? file : normalizeByProjectPrefix(hre, file).file;
+    let module = getModuleFilename(hre, file, external);
 
     // Load, check presence, remove, and save.
     let settings = loadDeployEverythingSettings(hre);
-    settings.contents ||= [];
-    let element = settings.contents.find((e) => {
+    const contents = getProfileContents(settings, profile);
+    let element = contents.find((e) => {
         return e.filename === module && e.external === !!external;
     });
     if (!element) throw new Error(`The module is not added to the full deployment: ${file}.`);
-    settings.contents = settings.contents.filter((e) => e !== element);
+    setProfileContents(settings, profile, contents.filter((e) => e !== element));
+    saveDeployEverythingSettings(settings, hre);
+}
+
+/**
+ * Moves a module to another place in the deploy-everything settings.
+ * @param hre The hardhat runtime environment.
+ * @param file The module file being moved.
+ * @param external Whether the entry to move is externally imported or not.
+ * @param placement A {before?, after?, position?} structure telling where
+ * to move the module. The position is computed against the list without
+ * the module being moved. Exactly one of those keys must be specified.
+ * @param profile The profile to move the module in (by default, the default
+ * profile). Only its own modules can be moved or referenced.
+ */
+function moveDeployEverythingModule(hre, file, external, placement, profile) {
+    external = !!external;
+    let module = getModuleFilename(hre, file, external);
+
+    // Load, check presence, remove, insert again, and save.
+    let settings = loadDeployEverythingSettings(hre);
+    const contents = getProfileContents(settings, profile);
+    let element = contents.find((e) => {
+        return e.filename === module && e.external === external;
+    });
+    if (!element) throw new Error(`The module is not added to the full deployment: ${file}.`);
+    const {before, after, position} = placement || {};
+    if ([before, after, position].every((v) => v === undefined || v === null)) {
+        throw new Error("A target place (before, after or position) must be specified.");
+    }
+    const remaining = contents.filter((e) => e !== element);
+    const index = resolveInsertionIndex(hre, remaining, placement);
+    setProfileContents(settings, profile, [...remaining.slice(0, index), element, ...remaining.slice(index)]);
     saveDeployEverythingSettings(settings, hre);
 }
 
 /**
  * Lists all the added modules and their results.
  * @param hre The hardhat runtime environment.
- * @return {Promise<Array>} The added modules into the deployment (including the keys returned in the module) (async function).
+ * @param profile The profile to list (by default, the default profile).
+ * @return {Promise<Array>} The added modules into the deployment (including the keys returned in the module,
+ * the suffix of the picked conditional variant, if any, whether it is enabled in the current network according
+ * to its chain conditions, the chain of included settings files it comes from -source-, if any, and, if the
+ * import failed, the error) (async function).
  */
-async function listDeployEverythingModules(hre) {
+async function listDeployEverythingModules(hre, profile) {
     const chainId = await hre.common.getChainId();
-    return loadDeployEverythingSettings(hre).contents.map(({filename, external}) => {
+    const settings = loadDeployEverythingSettings(hre);
+    return await Promise.all(resolveProfileContents(hre, settings, profile).map(async (entry) => {
+        const {filename, external} = entry;
+        const suffixes = getEntrySuffixes(hre, entry, chainId, settings);
+        const enabled = isEntryEnabled(entry, suffixes);
         let moduleResults = [];
+        let variant = null;
+        let error = undefined;
         try {
-            const module = importModule(hre, filename, external, chainId);
+            variant = (await resolveModuleFile(hre, filename, external, suffixes)).variant;
+            const module = await importModule(hre, filename, external, suffixes);
             moduleResults = Object.values(module.results || {}).map((f) => f.id);
-        } catch {}
+        } catch(e) {
+            error = e;
+        }
 
-        return {filename, external, moduleResults};
-    });
+        return {filename, external, source: entry.source, moduleResults, variant, error, enabled};
+    }));
 }
 
 /**
- * Adds a chainId to the name of a JS or TS file.
+ * Adds a variant suffix (e.g. a chain id) to the name of a JS or TS file.
  * @param filename The file.
- * @param chainId The chain id.
+ * @param suffix The variant suffix.
  * @returns {string} The new file.
  */
-function addChainId(filename, chainId) {
+function addVariantSuffix(filename, suffix) {
     const parts = filename.split('.');
     const extension = parts.pop();
-    return `${parts.join('.')}-${chainId}.${extension}`;
+    return `${parts.join('.')}-${suffix}.${extension}`;
+}
+
+/**
+ * Gets the variant suffixes to try, in order of precedence, when importing
+ * a module in the current network:
+ * 1. The chain id (e.g. Module-80002.js).
+ * 2. The hardhat network name (e.g. Module-testnet.js).
+ * 3. The aliases declared in the settings (in declaration order) which include
+ *    either the chain id or the network name (e.g. Module-evm-testnets.js).
+ * @param hre The hardhat runtime environment.
+ * @param chainId The chain id.
+ * @param settings The deploy-everything settings (the aliases are taken from it).
+ * @param networkName The network name (by default, the current network's name). It might be
+ * null, when the chain id does not belong to a configured network.
+ * @returns {Array<string>} The variant suffixes.
+ */
+function getVariantSuffixes(hre, chainId, settings, networkName = hre.network.name) {
+    const aliases = Object.entries((settings || {}).aliases || {}).filter(([alias, members]) => {
+        return (members || []).some((member) => `${member}` === `${chainId}` || member === networkName);
+    }).map(([alias]) => alias);
+    return [...new Set([`${chainId}`, ...(networkName ? [networkName] : []), ...aliases])];
+}
+
+/**
+ * Gets the settings whose aliases apply to an entry: the project settings for
+ * its own entries, and the aliases in effect in the included file for the
+ * entries coming from included files (see expandIncludes).
+ * @param entry The (resolved) entry.
+ * @param settings The deploy-everything settings.
+ * @returns {Object} The settings to take the aliases from.
+ */
+function getEntryAliasSettings(entry, settings) {
+    return entry.aliases ? {aliases: entry.aliases} : settings;
+}
+
+/**
+ * Gets the variant suffixes of an entry in a network (see getVariantSuffixes),
+ * considering the aliases that apply to it (see getEntryAliasSettings).
+ * @param hre The hardhat runtime environment.
+ * @param entry The (resolved) entry.
+ * @param chainId The chain id.
+ * @param settings The deploy-everything settings.
+ * @param networkName The network name (by default, the current network's name).
+ * @returns {Array<string>} The variant suffixes.
+ */
+function getEntrySuffixes(hre, entry, chainId, settings, networkName = hre.network.name) {
+    return getVariantSuffixes(hre, chainId, getEntryAliasSettings(entry, settings), networkName);
+}
+
+/**
+ * Tells whether an entry of the deploy-everything settings is enabled in the
+ * current network, according to its chain conditions:
+ * - onlyChains: If present and not empty, the entry is enabled only when any of
+ *   its elements matches the current network.
+ * - exceptChains: If present, the entry is disabled when any of its elements
+ *   matches the current network.
+ * The elements are chain ids, network names or aliases.
+ * @param entry The entry.
+ * @param suffixes The variant suffixes of the current network (see getVariantSuffixes).
+ * @returns {boolean} Whether it is enabled or not.
+ */
+function isEntryEnabled(entry, suffixes) {
+    const matches = (chains) => (chains || []).some((chain) => suffixes.includes(`${chain}`));
+    if ((entry.onlyChains || []).length && !matches(entry.onlyChains)) return false;
+    return !matches(entry.exceptChains);
+}
+
+/**
+ * Normalizes a list of chain conditions: numeric elements become chain ids
+ * (numbers) while the other ones are kept as network names or aliases.
+ * @param chains The chains (an array or a comma-separated string).
+ * @returns {Array|undefined} The normalized chains (or undefined if empty).
+ */
+function normalizeChains(chains) {
+    if (typeof chains === "string") chains = chains.split(",");
+    chains = (chains || []).map((chain) => `${chain}`.trim()).filter((chain) => chain.length).map((chain) => {
+        return /^\d+$/.test(chain) ? parseInt(chain) : chain;
+    });
+    return chains.length ? chains : undefined;
+}
+
+/**
+ * Resolves the file that would be imported for a module (either externally
+ * or locally), considering its conditional variants first.
+ * @param hre The hardhat runtime environment.
+ * @param filename The name of the file to resolve.
+ * @param external Whether it is external or not.
+ * @param suffixes The variant suffixes to try, in order (see getVariantSuffixes).
+ * @returns {Promise<{file: string, variant: string|null, esm: boolean}>} The resolved (absolute) file,
+ * the suffix of the picked variant (or null if the base module was picked) and whether it must be
+ * loaded as an ES module from an ESM-only package (async function).
+ */
+async function resolveModuleFile(hre, filename, external, suffixes) {
+    const base = external ? filename : path.resolve(hre.config.paths.root, filename);
+    for(const suffix of suffixes) {
+        const resolved = await resolveSpecifier(addVariantSuffix(base, suffix), hre.config.paths.root);
+        if (resolved) return {...resolved, variant: suffix};
+    }
+
+    const resolved = await resolveSpecifier(base, hre.config.paths.root);
+    if (resolved) return {...resolved, variant: null};
+    throw new Error(`Could not find the ${external ? "external" : "in-project"} module: ${filename}.`);
 }
 
 /**
@@ -189,45 +695,782 @@ function addChainId(filename, chainId) {
  * @param hre The hardhat runtime environment.
  * @param filename The name of the file to load.
  * @param external Whether it is external or not.
- * @param chainId The chain id.
- * @returns {*} The loaded ignition module.
+ * @param suffixes The variant suffixes to try, in order (see getVariantSuffixes).
+ * @returns {Promise<*>} The loaded ignition module (async function).
+ */
+async function importModule(hre, filename, external, suffixes) {
+    const {file, esm} = await resolveModuleFile(hre, filename, external, suffixes);
+    return await loadResolvedModule(file, esm, external);
+}
+
+/**
+ * Loads a module from an already resolved file (see resolveModuleFile).
+ * @param file The resolved file.
+ * @param esm Whether it must be loaded as an ES module.
+ * @param external Whether it is external or not.
+ * @returns {Promise<*>} The loaded ignition module (async function).
  */
-function importModule(hre, filename, external, chainId) {
+async function loadResolvedModule(file, esm, external) {
     try {
-        const required = external
-            ? require(addChainId(filename, chainId))
-            : require(addChainId(path.resolve(hre.config.paths.root, filename), chainId));
-        return required.default === undefined ? required : required.default;
-    } catch {
-        // Nothing here. Continue with the general load.
+        return await loadModuleFile(file, esm);
+    } catch(e) {
+        throw new Error(
+            `Could not import the ${external ? "external" : "in-project"} module: ${file} (${e.message}).`,
+            {cause: e}
+        );
+    }
+}
+
+/**
+ * Resolves the entries of a profile for a network: for each enabled entry, the
+ * file to load (considering the conditional variants) and the loaded module.
+ * @param hre The hardhat runtime environment.
+ * @param settings The deploy-everything settings.
+ * @param chainId The chain id of the network.
+ * @param profile The profile (by default, the default profile).
+ * @param networkName The network name (by default, the current network's name).
+ * @returns {Promise<Array<{entry, file, variant, module}|{entry, skipped: true}|{entry, error}>>} The
+ * resolved entries: the entries that are not enabled in the network (according to their chain
+ * conditions) are skipped, and those whose module could not be resolved or imported have the
+ * error (async function).
+ */
+async function resolveEntries(hre, settings, chainId, profile, networkName = hre.network.name) {
+    const resolved = [];
+    for(const entry of resolveProfileContents(hre, settings, profile)) {
+        const suffixes = getEntrySuffixes(hre, entry, chainId, settings, networkName);
+        if (!isEntryEnabled(entry, suffixes)) {
+            resolved.push({entry, skipped: true});
+            continue;
+        }
+        try {
+            const {file, variant, esm} = await resolveModuleFile(hre, entry.filename, entry.external, suffixes);
+            resolved.push({entry, file, variant, module: await loadResolvedModule(file, esm, entry.external)});
+        } catch(e) {
+            resolved.push({entry, error: e});
+        }
     }
+    return resolved;
+}
+
+/**
+ * Collects the ids of all the futures of an ignition module, including
+ * the ones of its submodules.
+ * @param module The ignition module.
+ * @param ids The set to collect the ids into.
+ * @returns {Set<string>} The collected future ids.
+ */
+function collectFutureIds(module, ids = new Set()) {
+    for (const future of module.futures || []) ids.add(future.id);
+    for (const submodule of module.submodules || []) collectFutureIds(submodule, ids);
+    return ids;
+}
 
+/**
+ * Gets the directory of the ignition deployment for a deployment id.
+ * @param hre The hardhat runtime environment.
+ * @param deploymentId The deployment id. If not given, ignition's default
+ * (chain-{chainId}) is used.
+ * @param chainId The chain id.
+ * @returns {string} The deployment directory.
+ */
+function getDeploymentDir(hre, deploymentId, chainId) {
+    return path.join(hre.config.paths.ignition, "deployments", deploymentId || `chain-${chainId}`);
+}
+
+/**
+ * Loads the status of the futures of an ignition deployment, as stored in
+ * its journal.
+ * @param hre The hardhat runtime environment.
+ * @param deploymentId The deployment id. If not given, ignition's default
+ * (chain-{chainId}) is used.
+ * @param chainId The chain id.
+ * @returns {Promise<Object|undefined>} The status (same structure of ignition's
+ * status command result), or undefined if no journal exists (async function).
+ */
+async function loadDeploymentStatus(hre, deploymentId, chainId) {
+    // The hardhat network is ephemeral: ignition keeps no journal for it.
+    if (hre.network.name === "hardhat") return undefined;
+    const deploymentDir = getDeploymentDir(hre, deploymentId, chainId);
+    if (!fs.existsSync(path.join(deploymentDir, "journal.jsonl"))) return undefined;
+    const {status} = require("@nomicfoundation/ignition-core");
+    return await status(deploymentDir);
+}
+
+/**
+ * Loads the addresses deployed so far in an ignition deployment, by future id.
+ * @param hre The hardhat runtime environment.
+ * @param deploymentId The deployment id. If not given, ignition's default
+ * (chain-{chainId}) is used.
+ * @param chainId The chain id.
+ * @returns {Object} The deployed addresses (empty if there are none).
+ */
+function loadDeployedAddresses(hre, deploymentId, chainId) {
+    // The hardhat network is ephemeral: ignition keeps no addresses for it.
+    if (hre.network.name === "hardhat") return {};
+    const file = path.join(getDeploymentDir(hre, deploymentId, chainId), "deployed_addresses.json");
+    if (!fs.existsSync(file)) return {};
+    return JSON.parse(fs.readFileSync(file, {encoding: 'utf8'}));
+}
+
+/**
+ * Maps the futures of an ignition deployment status to their status: done,
+ * started, held, timed out or failed.
+ * @param status The deployment status (see loadDeploymentStatus). It might be undefined.
+ * @returns {Object} The status of each future, by future id.
+ */
+function getFutureStatuses(status) {
+    const statuses = {};
+    if (status) {
+        status.successful.forEach((id) => statuses[id] = "done");
+        status.started.forEach((id) => statuses[id] = "started");
+        status.held.forEach(({futureId}) => statuses[futureId] = "held");
+        status.timedOut.forEach(({futureId}) => statuses[futureId] = "timed out");
+        status.failed.forEach(({futureId}) => statuses[futureId] = "failed");
+    }
+    return statuses;
+}
+
+/**
+ * Plans the deployments (also considering the current chainId) without
+ * executing them: tells, for each module, which file would be loaded and
+ * what is already deployed or still pending according to the journal.
+ * @param hre The hardhat runtime environment.
+ * @param deploymentId The deployment id (same semantics of `hre.ignition.deploy` args).
+ * @param profile The profile to plan (by default, the default profile).
+ * @param selection An optional {only?, skip?, from?, until?} structure (see selectEntries): when
+ * given, only the selected modules are planned (as `run` would only run them).
+ * @returns {Promise<{chainId, deploymentDir, journal: boolean, modules: Array}>} The plan. Each module
+ * entry has: filename, external, file (the resolved one), variant (the suffix of the picked conditional
+ * variant, or null if the base module was picked), moduleId, futures (a list of {id, status}), pending
+ * (the ids of the futures that `run` would still deploy) and, if the module could not be resolved or
+ * imported, error. Entries that are not enabled in the current network (according to their chain
+ * conditions) only have: filename, external and skipped=true (async function).
+ */
+async function planDeployEverythingModules(hre, deploymentId, profile, selection) {
+    const chainId = await hre.common.getChainId();
+    const status = await loadDeploymentStatus(hre, deploymentId, chainId);
+    const statuses = getFutureStatuses(status);
+
+    const planned = new Set();
+    const settings = loadDeployEverythingSettings(hre);
+    const entries = selectEntries(hre, await resolveEntries(hre, settings, chainId, profile), selection);
+    const modules = entries.map(({entry, file, variant, module, skipped, error}) => {
+        const {filename, external} = entry;
+        if (skipped || error) return {filename, external, ...(skipped ? {skipped} : {error})};
+        const futures = [...collectFutureIds(module)].map((id) => {
+            return {id, status: statuses[id] || "pending"};
+        });
+        const pending = futures.filter(({id, status}) => {
+            return status !== "done" && !planned.has(id);
+        }).map(({id}) => id);
+        pending.forEach((id) => planned.add(id));
+        return {filename, external, file, variant, moduleId: module.id, futures, pending};
+    });
+
+    return {
+        chainId, deploymentDir: getDeploymentDir(hre, deploymentId, chainId), journal: !!status, modules
+    };
+}
+
+/**
+ * Tells the status of the deployments (also considering the current chainId)
+ * according to the deployment journal: for each module, the status of each one
+ * of its futures and the addresses of the contracts deployed so far.
+ * @param hre The hardhat runtime environment.
+ * @param deploymentId The deployment id (same semantics of `hre.ignition.deploy` args).
+ * @param profile The profile to tell the status of (by default, the default profile).
+ * @returns {Promise<{chainId, deploymentDir, journal: boolean, modules: Array, untracked: Array}>} The
+ * status. Each module entry has: filename, external, file (the resolved one), variant (the suffix of the
+ * picked conditional variant, or null if the base module was picked), moduleId and futures (a list of
+ * {id, status, contractName?, address?}, where the status is either "pending" -not in the journal yet-
+ * or one of the journal statuses: done, started, held, timed out or failed) and, if the module could
+ * not be resolved or imported, error. Entries that are not enabled in the current network only have:
+ * filename, external and skipped=true. The untracked entries are the {id, contractName, address}
+ * contracts in the journal which do not belong to any of the modules (async function).
+ */
+async function getDeployEverythingStatus(hre, deploymentId, profile) {
+    const chainId = await hre.common.getChainId();
+    const status = await loadDeploymentStatus(hre, deploymentId, chainId);
+    const statuses = getFutureStatuses(status);
+    const contracts = (status || {}).contracts || {};
+
+    const tracked = new Set();
+    const settings = loadDeployEverythingSettings(hre);
+    const entries = await resolveEntries(hre, settings, chainId, profile);
+    const modules = entries.map(({entry, file, variant, module, skipped, error}) => {
+        const {filename, external} = entry;
+        if (skipped || error) return {filename, external, ...(skipped ? {skipped} : {error})};
+        const futures = [...collectFutureIds(module)].map((id) => {
+            tracked.add(id);
+            const {contractName, address} = contracts[id] || {};
+            return {id, status: statuses[id] || "pending", contractName, address};
+        });
+        return {filename, external, file, variant, moduleId: module.id, futures};
+    });
+    const untracked = Object.entries(contracts).filter(([id]) => !tracked.has(id)).map(([id, contract]) => {
+        return {id, contractName: contract.contractName, address: contract.address};
+    });
+
+    return {
+        chainId, deploymentDir: getDeploymentDir(hre, deploymentId, chainId), journal: !!status, modules,
+        untracked
+    };
+}
+
+/**
+ * Lists the ignition deployments having a journal, along with their status.
+ * @param hre The hardhat runtime environment.
+ * @returns {Promise<Array<{deploymentId, deploymentDir, status}>>} The deployments,
+ * sorted by deployment id (async function).
+ */
+async function listDeploymentStatuses(hre) {
+    const deploymentsDir = path.join(hre.config.paths.ignition, "deployments");
+    if (!fs.existsSync(deploymentsDir)) return [];
+    const {status} = require("@nomicfoundation/ignition-core");
+    const deployments = [];
+    for(const deploymentId of fs.readdirSync(deploymentsDir).sort()) {
+        const deploymentDir = path.join(deploymentsDir, deploymentId);
+        if (!fs.existsSync(path.join(deploymentDir, "journal.jsonl"))) continue;
+        deployments.push({deploymentId, deploymentDir, status: await status(deploymentDir)});
+    }
+    return deployments;
+}
+
+/**
+ * Collects the deployed contracts of the registered modules across all the
+ * ignition deployments (one per chain) into an address book. For each chain,
+ * the modules are resolved as they would be in a run in that chain (i.e. the
+ * conditional variants are picked by chain id, by the name of the network
+ * configured with that chain id, and by alias) and only the futures in their
+ * results are exported. The book is keyed by the module id of the base module,
+ * so the same keys are found in every chain, even when a variant (having its
+ * own module id) was deployed there.
+ * @param hre The hardhat runtime environment.
+ * @param deploymentId An optional deployment id template ({network} and {chainId}
+ * placeholders are allowed) to choose the deployments to export. If not given,
+ * every deployment is considered, but then each chain must have only one.
+ * @param profile The profile to export (by default, the default profile).
+ * @returns {Promise<{book: Object, deployments: Array}>} The export (async function).
+ * The book has, by chain id, base module id and future id: {address, contractName, abi,
+ * moduleId, variant}, where moduleId is the id of the module actually deployed and variant
+ * is the suffix of its conditional variant (or null). There is one entry per exported
+ * deployment, having: deploymentId, chainId, network (the one configured with that chain
+ * id, or null) and modules (having: filename, external, file, variant, moduleId, baseModuleId
+ * and futures -the exported future ids- or, if the
+ * module could not be resolved or imported, error; entries that are not enabled in
+ * that chain only have: filename, external and skipped=true).
+ */
+async function exportDeployEverythingAddresses(hre, deploymentId, profile) {
+    const settings = loadDeployEverythingSettings(hre);
+    const selected = {};
+    for(const deployment of await listDeploymentStatuses(hre)) {
+        const chainId = deployment.status.chainId;
+        const network = findNetworkByChainId(hre, chainId) || null;
+        if (deploymentId && deployment.deploymentId !== expandNetworkTemplate(deploymentId, network, chainId)) {
+            continue;
+        }
+        if (selected[chainId]) {
+            throw new Error(
+                `There are many deployments for the chain id ${chainId}: ${selected[chainId].deploymentId}, ` +
+                `${deployment.deploymentId}. Use --deployment-id to choose them (e.g. "chain-{chainId}").`
+            );
+        }
+        selected[chainId] = {...deployment, network};
+    }
+
+    const book = {};
+    const deployments = [];
+    for(const {deploymentId, status, network} of Object.values(selected)) {
+        const chainId = status.chainId;
+        const modules = [];
+        for(const {entry, file, variant, module, skipped, error} of await resolveEntries(
+            hre, settings, chainId, profile, network
+        )) {
+            const {filename, external} = entry;
+            if (skipped || error) {
+                modules.push({filename, external, ...(skipped ? {skipped} : {error})});
+                continue;
+            }
+            // A variant without a base module is exported under its own id.
+            const baseModuleId = variant ? (
+                await importModule(hre, filename, external, []).catch(() => module)
+            ).id : module.id;
+            const futures = Object.values(module.results || {}).map(({id}) => id).filter((id) => {
+                return status.contracts[id];
+            });
+            if (futures.length) {
+                book[chainId] = book[chainId] || {};
+                book[chainId][baseModuleId] = Object.fromEntries(futures.map((id) => {
+                    const {address, contractName, abi} = status.contracts[id];
+                    return [id, {address, contractName, abi, moduleId: module.id, variant}];
+                }));
+            }
+            modules.push({filename, external, file, variant, moduleId: module.id, baseModuleId, futures});
+        }
+        deployments.push({deploymentId, chainId, network, modules});
+    }
+    return {book, deployments};
+}
+
+/**
+ * Gets the runtime bytecode that a contract future currently compiles to,
+ * along with its volatile ranges (immutables and linked libraries). For the
+ * futures built from named artifacts, the immutables are taken from the build
+ * info. For the futures built from explicit artifacts, only the linked
+ * libraries are known.
+ * @param hre The hardhat runtime environment.
+ * @param future The contract future.
+ * @returns {Promise<{bytecode: string, ranges: Array}>} The bytecode and ranges (async function).
+ */
+async function getCompiledContract(hre, future) {
+    if (future.artifact) {
+        return {
+            bytecode: future.artifact.deployedBytecode,
+            ranges: getVolatileRanges({}, future.artifact.deployedLinkReferences)
+        };
+    }
+    const artifact = await hre.artifacts.readArtifact(future.contractName);
+    const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+    const output = buildInfo?.output?.contracts?.[artifact.sourceName]?.[artifact.contractName];
+    return {
+        bytecode: artifact.deployedBytecode,
+        ranges: getVolatileRanges(output?.evm?.deployedBytecode?.immutableReferences, artifact.deployedLinkReferences)
+    };
+}
+
+/**
+ * Compares, for each module's results, the runtime bytecode deployed on-chain
+ * (at the address recorded in the deployment journal) against the one in the
+ * current compiled artifacts, ignoring the metadata hashes, the immutables and
+ * the linked libraries.
+ * @param hre The hardhat runtime environment.
+ * @param deploymentId The deployment id (same semantics of `hre.ignition.deploy` args).
+ * @param profile The profile to compare (by default, the default profile).
+ * @returns {Promise<{chainId, deploymentDir, journal: boolean, modules: Array}>} The comparison. Each
+ * module entry has: filename, external, moduleId, contracts (a list of {name, futureId, address?, status,
+ * error?}, where the status is one of: unchanged, changed, not deployed, no code -there is no code at the
+ * recorded address- or error) and changed (whether any of its contracts changed or has no code). If the
+ * module could not be imported, it has an error key instead. Entries that are not enabled in the current
+ * network only have: filename, external and skipped=true (async function).
+ */
+async function diffDeployEverythingModules(hre, deploymentId, profile) {
+    const chainId = await hre.common.getChainId();
+    const status = await loadDeploymentStatus(hre, deploymentId, chainId);
+    const deployedContracts = (status || {}).contracts || {};
+
+    const settings = loadDeployEverythingSettings(hre);
+    const modules = [];
+    for(const {entry, module, skipped, error} of await resolveEntries(hre, settings, chainId, profile)) {
+        const {filename, external} = entry;
+        if (skipped || error) {
+            modules.push({filename, external, ...(skipped ? {skipped} : {error})});
+            continue;
+        }
+        const contracts = [];
+        for(const [name, future] of Object.entries(module.results || {})) {
+            const deployed = deployedContracts[future.id];
+            if (!deployed) {
+                contracts.push({name, futureId: future.id, status: "not deployed"});
+                continue;
+            }
+            const {address} = deployed;
+            try {
+                const code = await hre.network.provider.request({method: "eth_getCode", params: [address, "latest"]});
+                if (!code || code === "0x") {
+                    contracts.push({name, futureId: future.id, address, status: "no code"});
+                    continue;
+                }
+                const {bytecode, ranges} = await getCompiledContract(hre, future);
+                const same = isSameBytecode(code, bytecode, ranges);
+                contracts.push({name, futureId: future.id, address, status: same ? "unchanged" : "changed"});
+            } catch(e) {
+                contracts.push({name, futureId: future.id, address, status: "error", error: e});
+            }
+        }
+        const changed = contracts.some(({status}) => status === "changed" || status === "no code");
+        modules.push({filename, external, moduleId: module.id, contracts, changed});
+    }
+
+    return {chainId, deploymentDir: getDeploymentDir(hre, deploymentId, chainId), journal: !!status, modules};
+}
+
+/**
+ * Tells whether an entry matches a selector: either its filename (project
+ * filenames are normalized before comparing) or its module id.
+ * @param hre The hardhat runtime environment.
+ * @param entry The entry.
+ * @param module The imported ignition module of the entry (it might be undefined
+ * for entries that are not enabled in the current network and could not be imported).
+ * @param selector The selector.
+ * @returns {boolean} Whether it matches.
+ */
+function matchesSelector(hre, entry, module, selector) {
+    return entry.filename === selector || (!!module && module.id === selector) ||
+        (!entry.external && entry.filename === getModuleFilename(hre, selector, false));
+}
+
+/**
+ * Selects the entries to run, given the run selectors.
+ * @param hre The hardhat runtime environment.
+ * @param items The candidate {entry, module} items, in order.
+ * @param selection An optional {only?, skip?, from?, until?} structure. The `only`
+ * and `skip` keys are arrays (or comma-separated strings) of selectors, while
+ * `from` and `until` are single selectors. A selector is either a filename or a
+ * module id. The `from` and `until` bounds are inclusive.
+ * @returns {Array} The selected items, in order.
+ */
+function selectEntries(hre, items, selection) {
+    const {from, until} = selection || {};
+    const asList = (v) => (typeof v === "string" ? v.split(",") : (v || [])).map((e) => e.trim()).filter((e) => e);
+    const only = asList((selection || {}).only);
+    const skip = asList((selection || {}).skip);
+    const indexOf = (selector) => {
+        const index = items.findIndex(({entry, module}) => matchesSelector(hre, entry, module, selector));
+        if (index === -1) throw new Error(`No module in the full deployment matches: ${selector}.`);
+        return index;
+    };
+    [...only, ...skip].forEach(indexOf);
+    const start = from ? indexOf(from) : 0;
+    const end = until ? indexOf(until) : items.length - 1;
+    return items.filter(({entry, module}, index) => {
+        const matches = (selector) => matchesSelector(hre, entry, module, selector);
+        return index >= start && index <= end && (!only.length || only.some(matches)) && !skip.some(matches);
+    });
+}
+
+/**
+ * Loads the items to run: the enabled entries of a profile (along with their
+ * resolved files, variants and imported modules), filtered by the selection.
+ * The selectors are matched against all the entries, so naming a module which
+ * is not enabled in the current network (e.g. when running in several networks)
+ * is not an error.
+ * @param hre The hardhat runtime environment.
+ * @param settings The deploy-everything settings.
+ * @param chainId The chain id.
+ * @param profile The profile to run (by default, the default profile).
+ * @param selection An optional {only?, skip?, from?, until?} structure (see selectEntries).
+ * @param networkName The network name (by default, the current network's name).
+ * @returns {Promise<Array<{entry, module, file, variant}>>} The items, in order (async function).
+ */
+async function loadRunItems(hre, settings, chainId, profile, selection, networkName) {
+    const candidates = [];
+    for(const entry of resolveProfileContents(hre, settings, profile)) {
+        const suffixes = getEntrySuffixes(hre, entry, chainId, settings, networkName);
+        if (!isEntryEnabled(entry, suffixes)) {
+            // It is only imported to match the selectors by module id.
+            const module = await importModule(hre, entry.filename, entry.external, suffixes).catch(() => undefined);
+            candidates.push({entry, module, disabled: true});
+            continue;
+        }
+        const {file, variant, esm} = await resolveModuleFile(hre, entry.filename, entry.external, suffixes);
+        const module = await loadResolvedModule(file, esm, entry.external);
+        candidates.push({entry, module, file, variant});
+    }
+    return selectEntries(hre, candidates, selection).filter(({disabled}) => !disabled);
+}
+
+/**
+ * Gets the module parameters with no default value that are missing for the
+ * items to run, considering the per-entry parameters as well.
+ * @param items The items to run (see loadRunItems).
+ * @param parameters The given parameters.
+ * @returns {Array<{filename, external, moduleId, name}>} The missing parameters.
+ */
+function getMissingParameters(items, parameters) {
+    return items.map(({entry, module}) => {
+        return findMissingParameters(module, mergeParameters(parameters, entry.parameters)).map((missing) => {
+            return {filename: entry.filename, external: !!entry.external, ...missing};
+        });
+    }).flat();
+}
+
+/**
+ * Raises an error if any module parameter with no default value is missing
+ * for the items to run. The error has a `missingParameters` key listing them.
+ * @param items The items to run (see loadRunItems).
+ * @param parameters The given parameters.
+ */
+function checkMissingParameters(items, parameters) {
+    const missing = getMissingParameters(items, parameters);
+    if (missing.length) {
+        const error = new Error(
+            "These module parameters have no default value and were not given:\n" +
+            missing.map(({filename, moduleId, name}) => `  - ${moduleId}.${name} (in ${filename})`).join("\n")
+        );
+        error.missingParameters = missing;
+        throw error;
+    }
+}
+
+/**
+ * Tells, before running, which module parameters with no default value are
+ * not given for the modules that would run.
+ * @param hre The hardhat runtime environment.
+ * @param parameters The parameters that would be given to the run.
+ * @param profile The profile to run (by default, the default profile).
+ * @param selection An optional {only?, skip?, from?, until?} structure (see selectEntries).
+ * @returns {Promise<Array<{filename, external, moduleId, name}>>} The missing parameters
+ * (async function).
+ */
+async function findMissingDeployEverythingParameters(hre, parameters, profile, selection) {
+    const settings = loadDeployEverythingSettings(hre);
+    const chainId = await hre.common.getChainId();
+    return getMissingParameters(await loadRunItems(hre, settings, chainId, profile, selection), parameters);
+}
+
+/**
+ * Gets the files that a run in the current network depends on (besides the
+ * contracts): the settings file, the registered project modules along with
+ * their conditional variants for the current network, and the layered
+ * parameters files. The candidate variant files are included even if they do
+ * not exist (yet), so creating one is also noticed. The external modules are
+ * included as they currently resolve.
+ * @param hre The hardhat runtime environment.
+ * @param parametersFile The base parameters file, if explicitly given.
+ * @param profile The profile to run (by default, the default profile).
+ * @returns {Promise<Array<string>>} The absolute files (async function). If the
+ * settings cannot be resolved (e.g. they are being edited), only the settings
+ * file and the parameters files are returned.
+ */
+async function getDeployEverythingWatchedFiles(hre, parametersFile, profile) {
+    const files = [getSettingsFile(hre)];
+    let settings = null;
+    let suffixes = [];
     try {
-        const required = external
-            ? require(filename)
-            : require(path.resolve(hre.config.paths.root, filename));
-        return required.default === undefined ? required : required.default;
+        settings = loadDeployEverythingSettings(hre);
+        const chainId = await hre.common.getChainId();
+        suffixes = getVariantSuffixes(hre, chainId, settings);
+        for(const entry of resolveProfileContents(hre, settings, profile)) {
+            const entrySuffixes = getEntrySuffixes(hre, entry, chainId, settings);
+            if (!entry.external) {
+                const base = path.resolve(hre.config.paths.root, entry.filename);
+                files.push(...entrySuffixes.map((suffix) => addVariantSuffix(base, suffix)), base);
+                continue;
+            }
+            const {file} = await resolveModuleFile(
+                hre, entry.filename, entry.external, entrySuffixes
+            ).catch(() => ({}));
+            if (file && path.isAbsolute(file)) files.push(file);
+        }
     } catch(e) {
-        throw new Error(`Could not import the ${external ? "external" : "in-project"} module: ${filename}.`);
+        // The settings will be read again after the next change.
+    }
+    files.push(...getParametersFiles(hre, parametersFile, suffixes));
+    return [...new Set(files)];
+}
+
+/**
+ * Resolves the {{ ... }} placeholders of the parameters a module reads: the
+ * $global ones and those of the module ids its parameters belong to. The other
+ * groups are passed through untouched, since their placeholders might refer to
+ * futures that are not deployed yet.
+ * @param module The ignition module about to be deployed.
+ * @param parameters The (merged) parameters.
+ * @param context The context (see templates.js).
+ * @returns {Promise<Object>} The parameters to deploy the module with (async function).
+ */
+async function resolveModuleParameters(module, parameters, context) {
+    const groups = new Set(["$global", ...collectModuleParameters(module).map(({moduleId}) => moduleId)]);
+    const resolved = {};
+    for(const [group, values] of Object.entries(parameters || {})) {
+        resolved[group] = groups.has(group) ? await resolvePlaceholders(values, context) : values;
     }
+    return resolved;
+}
+
+/**
+ * Gets the deployed contracts of the result of an `hre.ignition.deploy` call,
+ * by future id.
+ * @param module The deployed ignition module.
+ * @param result The deployment result (the contracts, by result name).
+ * @returns {Object} The contracts (ethers or viem instances), by future id.
+ */
+function getDeployedContracts(module, result) {
+    return Object.fromEntries(Object.entries(result || {}).filter(([name]) => {
+        return (module.results || {})[name];
+    }).map(([name, contract]) => [module.results[name].id, contract]));
 }
 
 /**
- * Runs all the deployments (also considering the current chainId).
+ * Gets the deployed addresses of the result of an `hre.ignition.deploy` call,
+ * by future id. Both ethers (target) and viem (address) contracts are supported.
+ * @param module The deployed ignition module.
+ * @param result The deployment result (the contracts, by result name).
+ * @returns {Object} The addresses, by future id.
+ */
+function getDeployedAddresses(module, result) {
+    return Object.fromEntries(Object.entries(getDeployedContracts(module, result)).map(([futureId, contract]) => {
+        return [futureId, contract.address || contract.target];
+    }));
+}
+
+/**
+ * Runs all the deployments (also considering the current chainId). The entries that are not
+ * enabled in the current network, according to their chain conditions, are skipped. The hook
+ * scripts are run in this order: global beforeAll, and then for each module: global beforeEach,
+ * entry's before, the deployment itself, entry's after and global afterEach, and finally global
+ * afterAll. Before running anything, the module parameters with no default value are checked:
+ * if any of them is not given, an error is raised (with a `missingParameters` key listing them).
+ * The {{ ... }} placeholders in the parameters a module reads are resolved right before it is
+ * deployed (see templates.js and resolveModuleParameters): the addresses are taken from the modules
+ * deployed earlier in this run and from the deployment id's deployed addresses.
  * @param reset Resets the current deployment status (journal) for the current network.
- * @param deploymentArgs The deployment arguments (same semantics of `hre.ignition.deploy` args).
+ * @param deploymentArgs The deployment arguments (same semantics of `hre.ignition.deploy` args). The
+ * per-entry parameters in the settings, if any, are merged on top of the given parameters.
  * @param hre The hardhat runtime environment.
- * @returns {Promise<void>} Nothing (async function).
+ * @param profile The profile to run (by default, the default profile).
+ * @param selection An optional {only?, skip?, from?, until?} structure to select the modules to
+ * run (see selectEntries).
+ * @param events An optional event emitter to report the progress to. It emits `moduleStart`
+ * ({filename, external, file, variant, moduleId, index, total}), `moduleDone` (with the module
+ * result, as described below, plus the deployed `contracts` by future id) and `moduleFailed`
+ * (with the module result).
+ * @returns {Promise<{chainId, modules: Array, succeeded: Array}>} The results (async function).
+ * There is one module result per selected module, having: filename, external, source (the chain
+ * of included settings files it comes from, if any), file (the resolved one), variant (the suffix
+ * of the picked conditional variant, or null), moduleId, status (succeeded, failed or not
+ * attempted), addresses (the deployed addresses, by future id), duration (in ms) and, if it
+ * failed, error. The succeeded key has the entries that succeeded. If a module fails, the
+ * raised error has a `summary` key with the {succeeded, failed, notAttempted} entries and a
+ * `results` key with these results.
  */
-async function runDeployEverythingModules(hre, reset, deploymentArgs) {
-    const modules = await listDeployEverythingModules(hre);
-    const length = modules.length;
-    if (!!reset) await hre.ignition.resetDeployment(deploymentArgs.deploymentId, hre);
+async function runDeployEverythingModules(hre, reset, deploymentArgs, profile, selection, events) {
+    const settings = loadDeployEverythingSettings(hre);
     const chainId = await hre.common.getChainId();
+    const items = await loadRunItems(hre, settings, chainId, profile, selection);
+    checkMissingParameters(items, deploymentArgs.parameters);
+    const length = items.length;
+    const hooks = settings.hooks || {};
+    const emit = (name, value) => events && events.emit(name, value);
+    const modules = items.map(({entry, module, file, variant}) => {
+        return {
+            filename: entry.filename, external: !!entry.external, source: entry.source, file, variant,
+            moduleId: module.id, status: "not attempted", addresses: {}, duration: 0
+        };
+    });
+    const context = {
+        chainId,
+        getAccounts: async () => await hre.network.provider.request({method: "eth_accounts"}),
+        getAddresses: async () => Object.assign(
+            loadDeployedAddresses(hre, deploymentArgs.deploymentId, chainId), ...modules.map((m) => m.addresses)
+        )
+    };
+    if (!!reset) await hre.ignition.resetDeployment(deploymentArgs.deploymentId, hre);
+    if (length) await runHooks(hre, hooks, "beforeAll", {chainId});
     for(let idx = 0; idx < length; idx++) {
-        const module = importModule(hre, modules[idx].filename, modules[idx].external, chainId);
-        await hre.ignition.deploy(module, deploymentArgs);
+        const {entry, module} = items[idx];
+        const moduleResult = modules[idx];
+        const start = Date.now();
+        emit("moduleStart", {...moduleResult, index: idx, total: length});
+        try {
+            await runHooks(hre, hooks, "beforeEach", {chainId, entry, module});
+            await runHooks(hre, entry, "before", {chainId, entry, module});
+            const result = await hre.ignition.deploy(module, {
+                ...deploymentArgs, parameters: await resolveModuleParameters(
+                    module, mergeParameters(deploymentArgs.parameters, entry.parameters), context
+                )
+            });
+            moduleResult.addresses = getDeployedAddresses(module, result);
+            await runHooks(hre, entry, "after", {chainId, entry, module, result});
+            await runHooks(hre, hooks, "afterEach", {chainId, entry, module, result});
+            moduleResult.status = "succeeded";
+            moduleResult.duration = Date.now() - start;
+            emit("moduleDone", {...moduleResult, contracts: getDeployedContracts(module, result)});
+        } catch(e) {
+            moduleResult.status = "failed";
+            moduleResult.duration = Date.now() - start;
+            moduleResult.error = e;
+            emit("moduleFailed", moduleResult);
+            const error = new Error(`The module ${entry.filename} failed to deploy: ${e.message}`, {cause: e});
+            error.summary = {
+                succeeded: items.slice(0, idx).map((item) => item.entry),
+                failed: entry,
+                notAttempted: items.slice(idx + 1).map((item) => item.entry)
+            };
+            error.results = {chainId, modules, succeeded: error.summary.succeeded};
+            throw error;
+        }
+    }
+    if (length) await runHooks(hre, hooks, "afterAll", {chainId});
+    return {chainId, modules, succeeded: items.map((item) => item.entry)};
+}
+
+/**
+ * Estimates the gas used by the full deployment, by rehearsing it in the
+ * current (ephemeral, in-process) hardhat network while picking the modules
+ * (i.e. the chain conditions and variants) of a target network. Nothing is
+ * sent to the target network. The hooks are not run. The {{ ... }}
+ * placeholders in the parameters are resolved as in a run (the chainId is the
+ * target one, while the accounts and addresses are the rehearsal ones).
+ * @param hre The hardhat runtime environment (in the hardhat network).
+ * @param target The {chainId, network} target network.
+ * @param deploymentArgs The {parameters, strategy?, strategyConfig?, defaultSender?} deployment
+ * arguments.
+ * @param profile The profile to estimate (by default, the default profile).
+ * @param selection An optional {only?, skip?, from?, until?} structure (see selectEntries).
+ * @returns {Promise<{chainId, network, modules: Array, gasUsed: bigint}>} The estimation (async
+ * function). There is one module estimation per selected module, having: filename, external,
+ * source, file, variant, moduleId, futures (the gas used by each future that sent transactions,
+ * by future id) and gasUsed (the total of the module).
+ */
+async function estimateDeployEverythingModules(hre, target, deploymentArgs, profile, selection) {
+    if (hre.network.name !== "hardhat") {
+        throw new Error(`The estimation only runs in the hardhat network (not in: ${hre.network.name}).`);
+    }
+    const {deploy} = require("@nomicfoundation/ignition-core");
+    const {HardhatArtifactResolver, errorDeploymentResultToExceptionMessage} = require(
+        "@nomicfoundation/hardhat-ignition/helpers"
+    );
+    const settings = loadDeployEverythingSettings(hre);
+    const items = await loadRunItems(hre, settings, target.chainId, profile, selection, target.network);
+    checkMissingParameters(items, deploymentArgs.parameters);
+    const request = (method, params) => hre.network.provider.request({method, params});
+    const accounts = await request("eth_accounts", []);
+    const sender = deploymentArgs.defaultSender;
+    if (sender && !accounts.some((account) => account.toLowerCase() === sender.toLowerCase())) {
+        // The real deployer is not an account of the ephemeral network: it is
+        // impersonated (and funded, since only the gas matters here).
+        await request("hardhat_impersonateAccount", [sender]);
+        await request("hardhat_setBalance", [sender, `0x${(10n ** 30n).toString(16)}`]);
+        accounts.push(sender);
+    }
+    const addresses = {};
+    const context = {chainId: target.chainId, getAccounts: async () => accounts, getAddresses: async () => addresses};
+    const modules = [];
+    for(const {entry, module, file, variant} of items) {
+        const hashes = [];
+        // Only the sent transactions matter here: the other events are ignored.
+        const executionEventListener = new Proxy({}, {
+            get: (_, name) => name === "transactionSend"
+                ? ({futureId, hash}) => hashes.push({futureId, hash})
+                : () => {}
+        });
+        const result = await deploy({
+            config: hre.config.ignition, provider: hre.network.provider, executionEventListener,
+            artifactResolver: new HardhatArtifactResolver(hre), deploymentDir: undefined, ignitionModule: module,
+            deploymentParameters: await resolveModuleParameters(
+                module, mergeParameters(deploymentArgs.parameters, entry.parameters), context
+            ),
+            accounts, defaultSender: deploymentArgs.defaultSender, strategy: deploymentArgs.strategy,
+            strategyConfig: deploymentArgs.strategyConfig
+        });
+        if (result.type !== "SUCCESSFUL_DEPLOYMENT") {
+            throw new Error(
+                `The module ${entry.filename} failed to deploy: ${errorDeploymentResultToExceptionMessage(result)}`
+            );
+        }
+        Object.entries(result.contracts).forEach(([futureId, {address}]) => addresses[futureId] = address);
+        const futures = {};
+        for(const {futureId, hash} of hashes) {
+            const receipt = await request("eth_getTransactionReceipt", [hash]);
+            futures[futureId] = (futures[futureId] || 0n) + BigInt(receipt.gasUsed);
+        }
+        modules.push({
+            filename: entry.filename, external: !!entry.external, source: entry.source, file, variant,
+            moduleId: module.id, futures, gasUsed: Object.values(futures).reduce((a, b) => a + b, 0n)
+        });
     }
+    return {...target, modules, gasUsed: modules.reduce((a, m) => a + m.gasUsed, 0n)};
 }
 
 /**
@@ -236,18 +1479,240 @@ async function runDeployEverythingModules(hre, reset, deploymentArgs) {
  * @param file The module file being tested.
  * @param external Whether we're talking about an imported file or a local one.
  * @param hre The hardhat runtime environment.
+ * @param profile The profile to check (by default, the default profile). Modules
+ * coming from extended profiles are also considered.
  * @returns {boolean} Whether it is already added or not.
  */
-function isModuleInDeployEverything(hre, file, external) {
+function isModuleInDeployEverything(hre, file, external, profile) {
+    external = !!external;
+    let module = getModuleFilename(hre, file, external);
+    let settings = loadDeployEverythingSettings(hre);
+    return !!resolveProfileContents(hre, settings, profile).find((element) => {
+        return !!element.external === external && module === element.filename;
+    });
+}
+
+/**
+ * Tells whether a file is already added as a module in the deploy-everything
+ * (current) settings and also enabled in the current network according to its
+ * chain conditions.
+ * @param file The module file being tested.
+ * @param external Whether we're talking about an imported file or a local one.
+ * @param hre The hardhat runtime environment.
+ * @param profile The profile to check (by default, the default profile). Modules
+ * coming from extended profiles are also considered.
+ * @returns {Promise<boolean>} Whether it is added and enabled or not (async function).
+ */
+async function isModuleEnabledInDeployEverything(hre, file, external, profile) {
     external = !!external;
-    let module = external ? file : normalizeByProjectPrefix(hre, file).file;
+    let module = getModuleFilename(hre, file, external);
     let settings = loadDeployEverythingSettings(hre);
-    return !!(settings.contents || []).find((element) => {
+    const element = resolveProfileContents(hre, settings, profile).find((element) => {
         return !!element.external === external && module === element.filename;
     });
+    if (!element) return false;
+    const chainId = await hre.common.getChainId();
+    return isEntryEnabled(element, getEntrySuffixes(hre, element, chainId, settings));
+}
+
+/**
+ * Finds, on disk, the conditional variants of a module which match any of
+ * the known variant suffixes: chain ids, the configured network names and
+ * the declared aliases.
+ * @param hre The hardhat runtime environment.
+ * @param file The (absolute) file of the base module.
+ * @param settings The deploy-everything settings (the aliases are taken from it).
+ * @returns {Array<{file: string, variant: string}>} The variants found.
+ */
+function findModuleVariants(hre, file, settings) {
+    const {dir, name, ext} = path.parse(file);
+    return fs.readdirSync(dir).filter((candidate) => {
+        return candidate.startsWith(`${name}-`) && candidate.endsWith(ext);
+    }).map((candidate) => {
+        const variant = candidate.substring(name.length + 1, candidate.length - ext.length);
+        return {file: path.join(dir, candidate), variant};
+    }).filter(({variant}) => isKnownVariantSuffix(hre, variant, settings));
+}
+
+/**
+ * Tells whether a variant suffix is a known one: a chain id, a configured
+ * network name or a declared alias.
+ * @param hre The hardhat runtime environment.
+ * @param suffix The suffix.
+ * @param settings The deploy-everything settings (the aliases are taken from it).
+ * @returns {boolean} Whether it is known or not.
+ */
+function isKnownVariantSuffix(hre, suffix, settings) {
+    return /^\d+$/.test(suffix) || Object.keys(hre.config.networks || {}).includes(suffix) ||
+        Object.keys(settings.aliases || {}).includes(suffix);
+}
+
+/**
+ * Discovers the modules inside the project's ignition/modules directory
+ * (recursively). The conditional variants are not listed as modules by
+ * themselves but grouped under their base module.
+ * @param hre The hardhat runtime environment.
+ * @param profile The profile to tell whether the modules are registered in
+ * (by default, the default profile).
+ * @returns {Array<{filename: string, variants: Array<string>, registered: boolean}>} The
+ * discovered modules (project-relative filenames), sorted by filename.
+ */
+function discoverDeployEverythingModules(hre, profile) {
+    const settings = loadDeployEverythingSettings(hre);
+    const registered = new Set(resolveProfileContents(hre, settings, profile).filter((e) => !e.external).map((e) => {
+        return e.filename;
+    }));
+    const files = [];
+    const scan = (dir) => {
+        if (!fs.existsSync(dir)) return;
+        fs.readdirSync(dir, {withFileTypes: true}).forEach((dirent) => {
+            const file = path.join(dir, dirent.name);
+            if (dirent.isDirectory()) {
+                scan(file);
+            } else if (hasModuleExtension(file)) {
+                files.push(normalizeByProjectPrefix(hre, file).file);
+            }
+        });
+    };
+    scan(path.join(hre.config.paths.ignition, "modules"));
+
+    // A file is a variant when its base module also exists.
+    const fileSet = new Set(files);
+    const baseOf = (file) => {
+        const {dir, name, ext} = path.parse(file);
+        for(let index = name.indexOf("-"); index !== -1; index = name.indexOf("-", index + 1)) {
+            const base = path.join(dir, name.substring(0, index) + ext);
+            if (fileSet.has(base) && isKnownVariantSuffix(hre, name.substring(index + 1), settings)) return base;
+        }
+        return undefined;
+    };
+    const modules = {};
+    files.filter((file) => !baseOf(file)).forEach((file) => {
+        modules[file] = {filename: file, variants: [], registered: registered.has(file)};
+    });
+    files.filter((file) => baseOf(file)).forEach((file) => modules[baseOf(file)].variants.push(file));
+    return Object.values(modules).sort((a, b) => a.filename.localeCompare(b.filename));
+}
+
+/**
+ * Validates the deploy-everything settings, reporting the problems found:
+ * - The settings file is malformed, or its profiles cannot be resolved.
+ * - A module file does not exist anymore.
+ * - A module (or any of its conditional variants on disk) cannot be imported,
+ *   or does not export an ignition module.
+ * - A conditional variant has a module id different to its base module's id.
+ * - A chain condition is neither a chain id, a configured network name nor an
+ *   alias in effect for the entry (e.g. one declared in another included file).
+ * - Two entries of the same profile have the same module id.
+ * - A hook script (global or per-entry) cannot be imported or does not export a function.
+ * @param hre The hardhat runtime environment.
+ * @param profile The profile to validate. If not given, all the profiles are validated.
+ * @returns {Promise<Array<{filename?: string, external?: boolean, profile?: string, message: string}>>} The
+ * problems found (empty if the settings are valid) (async function).
+ */
+async function validateDeployEverythingSettings(hre, profile) {
+    let settings = null;
+    try {
+        settings = loadDeployEverythingSettings(hre);
+    } catch(e) {
+        return (e.errors || [e.message]).map((message) => ({message}));
+    }
+
+    const problems = [];
+    const profiles = profile ? [profile] : ["default", ...Object.keys(settings.profiles || {})];
+    const moduleIds = {};
+    const validateEntry = async (entry) => {
+        const {filename, external} = entry;
+        const key = `${external ? "external" : "project"}:${filename}`;
+        if (key in moduleIds) return moduleIds[key];
+        moduleIds[key] = undefined;
+        const problem = (message) => problems.push({filename, external, message});
+        const aliasSettings = getEntryAliasSettings(entry, settings);
+        [...(entry.onlyChains || []), ...(entry.exceptChains || [])].filter((chain) => {
+            return !isKnownVariantSuffix(hre, `${chain}`, aliasSettings);
+        }).forEach((chain) => problem(
+            `The chain condition ${chain} is neither a chain id, a configured network name nor a declared alias.`
+        ));
+        await validateHooks(entry, ["before", "after"], filename, external);
+        let resolved = null;
+        try {
+            resolved = await resolveModuleFile(hre, filename, external, []);
+        } catch(e) {
+            problem(`The module file does not exist: ${filename}.`);
+            return undefined;
+        }
+        const load = async (file, esm) => {
+            let module = null;
+            try {
+                module = await loadModuleFile(file, esm);
+            } catch(e) {
+                problem(`Could not import the module: ${file} (${e.message}).`);
+                return undefined;
+            }
+            if (!module || typeof module.id !== "string" || !module.futures) {
+                problem(`The file does not export an ignition module: ${file}.`);
+                return undefined;
+            }
+            return module;
+        };
+        const base = await load(resolved.file, resolved.esm);
+        // The variants of ESM-only packages cannot be listed from disk.
+        const variants = resolved.esm ? [] : findModuleVariants(hre, resolved.file, aliasSettings);
+        for(const variant of variants) {
+            const module = await load(variant.file, false);
+            if (base && module && module.id !== base.id) {
+                problem(
+                    `The variant ${variant.file} has module id ${module.id} but the base module has ` +
+                    `module id ${base.id} (they must match).`
+                );
+            }
+        }
+        moduleIds[key] = base ? base.id : undefined;
+        return moduleIds[key];
+    };
+
+    const validateHooks = async (hooks, keys, filename, external) => {
+        for(const file of keys.map((key) => getHookFiles(hooks, key)).flat()) {
+            try {
+                await loadHook(hre, file);
+            } catch(e) {
+                problems.push({filename, external, message: e.message});
+            }
+        }
+    };
+    await validateHooks(settings.hooks, ["beforeAll", "beforeEach", "afterEach", "afterAll"]);
+
+    for(const profile of profiles) {
+        let contents = [];
+        try {
+            contents = resolveProfileContents(hre, settings, profile);
+        } catch(e) {
+            problems.push({profile, message: e.message});
+            continue;
+        }
+        const seen = {};
+        for(const entry of contents) {
+            const id = await validateEntry(entry);
+            if (id === undefined) continue;
+            if (id in seen) {
+                problems.push({
+                    filename: entry.filename, external: entry.external, profile,
+                    message: `The module id ${id} is also used by: ${seen[id]}.`
+                });
+            } else {
+                seen[id] = entry.filename;
+            }
+        }
+    }
+    return problems;
 }
 
 module.exports = {
-    addDeployEverythingModule, removeDeployEverythingModule, isModuleInDeployEverything,
-    listDeployEverythingModules, runDeployEverythingModules
+    addDeployEverythingModule, addDeployEverythingInclude, removeDeployEverythingModule, moveDeployEverythingModule,
+    isModuleInDeployEverything, isModuleEnabledInDeployEverything, listDeployEverythingModules,
+    runDeployEverythingModules, planDeployEverythingModules, loadDeployEverythingSettings, getModuleFilename,
+    getVariantSuffixes, getProfileContents, resolveProfileContents, validateDeployEverythingSettings,
+    discoverDeployEverythingModules, getDeployEverythingStatus, diffDeployEverythingModules,
+    findMissingDeployEverythingParameters, estimateDeployEverythingModules, exportDeployEverythingAddresses,
+    getDeployEverythingWatchedFiles
 }
\ No newline at end of file
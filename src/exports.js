@@ -0,0 +1,85 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * The default output directory of the exported address book, relative to the
+ * project root.
+ */
+const DEFAULT_EXPORT_DIR = "deploy-everything-export";
+
+/**
+ * Tells whether the project uses TypeScript (i.e. its hardhat config file is
+ * a TypeScript one).
+ * @param hre The hardhat runtime environment.
+ * @returns {boolean} Whether it uses TypeScript.
+ */
+function isTypeScriptProject(hre) {
+    return /\.[cm]?ts$/.test(hre.config.paths.configFile || "");
+}
+
+/**
+ * Tells the module format that node uses for the .js files in a directory:
+ * "esm" when the nearest package.json has `"type": "module"`, and "commonjs"
+ * otherwise.
+ * @param dir The absolute directory.
+ * @returns {string} The module format.
+ */
+function getModuleFormat(dir) {
+    for(let current = dir; ; current = path.dirname(current)) {
+        const file = path.join(current, "package.json");
+        if (fs.existsSync(file)) {
+            try {
+                return JSON.parse(fs.readFileSync(file, {encoding: 'utf8'})).type === "module" ? "esm" : "commonjs";
+            } catch(e) {
+                return "commonjs";
+            }
+        }
+        if (path.dirname(current) === current) return "commonjs";
+    }
+}
+
+/**
+ * Renders the address book as a module. The TypeScript module declares it
+ * `as const`, so the addresses and ABIs keep their literal types (e.g. for
+ * viem or wagmi).
+ * @param book The address book (see exportDeployEverythingAddresses).
+ * @param format The module format: "typescript", "esm" or "commonjs".
+ * @returns {string} The module's source code.
+ */
+function renderAddressBookModule(book, format) {
+    const header = "// This file is generated by `npx hardhat ignition deploy-everything export`. Do not edit it.\n";
+    const contents = JSON.stringify(book, null, 4);
+    if (format === "commonjs") {
+        return `${header}const deployments = ${contents};\n\nmodule.exports = deployments;\n` +
+            "module.exports.deployments = deployments;\n";
+    }
+    return `${header}export const deployments = ${contents}${format === "typescript" ? " as const" : ""};\n\n` +
+        "export default deployments;\n";
+}
+
+/**
+ * Writes the address book: a JSON file (addresses.json) and a module with the
+ * same contents: addresses.ts in TypeScript projects or, otherwise, addresses.js
+ * (an ES module or a CommonJS one, depending on the type of the package the
+ * output directory belongs to).
+ * @param hre The hardhat runtime environment.
+ * @param book The address book (see exportDeployEverythingAddresses).
+ * @param outDir The output directory, relative to the project root (by default,
+ * deploy-everything-export).
+ * @returns {Array<string>} The written files.
+ */
+function writeAddressBook(hre, book, outDir) {
+    const dir = path.resolve(hre.config.paths.root, outDir || DEFAULT_EXPORT_DIR);
+    const format = isTypeScriptProject(hre) ? "typescript" : getModuleFormat(dir);
+    const files = [
+        path.join(dir, "addresses.json"), path.join(dir, format === "typescript" ? "addresses.ts" : "addresses.js")
+    ];
+    fs.mkdirSync(dir, {recursive: true});
+    fs.writeFileSync(files[0], JSON.stringify(book, null, 4) + "\n");
+    fs.writeFileSync(files[1], renderAddressBookModule(book, format));
+    return files;
+}
+
+module.exports = {
+    writeAddressBook
+}
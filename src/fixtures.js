@@ -0,0 +1,58 @@
+const {EventEmitter} = require("events");
+const {loadLayeredParameters} = require("./parameters");
+const {runDeployEverythingModules, loadDeployEverythingSettings, getVariantSuffixes} = require("./deployments");
+
+/**
+ * Creates the deploy-everything test fixture for a hardhat runtime environment.
+ * The fixture runs the registered modules in the in-process hardhat network
+ * (so the conditional variants are picked for the chain id 31337) and takes a
+ * snapshot of the chain afterwards. The next calls (for the same profile and
+ * parameters) just revert the chain to that snapshot instead of deploying
+ * everything again, as `loadFixture` does.
+ * @param hre The hardhat runtime environment.
+ * @returns {function(string=, Object=): Promise<Object>} The fixture. It takes an
+ * optional profile (by default, the default profile) and optional parameters (by
+ * default, the layered parameters starting from ignition/parameters.json), and
+ * resolves to the deployed contracts (ethers or viem instances, depending on the
+ * loaded plugin) by module id and then by future id.
+ */
+function createDeployEverythingFixture(hre) {
+    const snapshots = {};
+    const request = (method, params) => hre.network.provider.request({method, params});
+    return async (profile, parameters) => {
+        if (hre.network.name !== "hardhat") {
+            throw new Error(
+                `The deploy-everything fixture only works in the hardhat network (not in: ${hre.network.name}).`
+            );
+        }
+        // The parameters might have bigint values, which JSON cannot hold as-is.
+        const key = `${profile || "default"}:${parameters ? JSON.stringify(parameters, (name, value) => {
+            return typeof value === "bigint" ? `${value}n` : value;
+        }) : ""}`;
+        const snapshot = snapshots[key];
+        // Reverting to a snapshot invalidates the later ones (e.g. those of
+        // other profiles): in that case, everything is deployed again.
+        if (snapshot && await request("evm_revert", [snapshot.id])) {
+            snapshot.id = await request("evm_snapshot", []);
+            return snapshot.contracts;
+        }
+
+        if (!parameters) {
+            const chainId = await hre.common.getChainId();
+            const suffixes = getVariantSuffixes(hre, chainId, loadDeployEverythingSettings(hre));
+            parameters = loadLayeredParameters(hre, undefined, suffixes).parameters;
+        }
+        const contracts = {};
+        const events = new EventEmitter();
+        events.on("moduleDone", (result) => {
+            contracts[result.moduleId] = result.contracts;
+        });
+        await runDeployEverythingModules(hre, false, {config: {}, parameters}, profile, undefined, events);
+        snapshots[key] = {id: await request("evm_snapshot", []), contracts};
+        return contracts;
+    };
+}
+
+module.exports = {
+    createDeployEverythingFixture
+}
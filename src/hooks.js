@@ -0,0 +1,51 @@
+const path = require("path");
+const {loadModuleFile} = require("./loader");
+
+/**
+ * Loads a hook script. It must be a project-relative (or absolute) file
+ * exporting (either directly or as default) a function.
+ * @param hre The hardhat runtime environment.
+ * @param file The hook file.
+ * @returns {Promise<Function>} The hook function (async function).
+ */
+async function loadHook(hre, file) {
+    let hook = null;
+    try {
+        hook = await loadModuleFile(path.resolve(hre.config.paths.root, file), false);
+    } catch(e) {
+        throw new Error(`Could not import the hook script: ${file} (${e.message}).`, {cause: e});
+    }
+    if (typeof hook !== "function") {
+        throw new Error(`The hook script does not export a function: ${file}.`);
+    }
+    return hook;
+}
+
+/**
+ * Gets the hook files of a key, which might be a single file or a list.
+ * @param hooks The object holding the hooks (an entry or the global hooks).
+ * @param key The hook key (e.g. "before" or "afterEach").
+ * @returns {Array<string>} The hook files.
+ */
+function getHookFiles(hooks, key) {
+    return [].concat((hooks || {})[key] || []);
+}
+
+/**
+ * Runs the hooks of a key, in order. Each hook is invoked with a single
+ * {hre, chainId, entry, module, result} context object.
+ * @param hre The hardhat runtime environment.
+ * @param hooks The object holding the hooks (an entry or the global hooks).
+ * @param key The hook key (e.g. "before" or "afterEach").
+ * @param context The context to pass to the hooks (hre is added to it).
+ * @returns {Promise<void>} Nothing (async function).
+ */
+async function runHooks(hre, hooks, key, context) {
+    for(const file of getHookFiles(hooks, key)) {
+        await (await loadHook(hre, file))({hre, ...context});
+    }
+}
+
+module.exports = {
+    loadHook, getHookFiles, runHooks
+}
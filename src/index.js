@@ -1,9 +1,30 @@
-const {extendEnvironment, scope} = require("hardhat/config");
+const {extendConfig, extendEnvironment, scope, types} = require("hardhat/config");
 const {
-    runDeployEverythingModules, isModuleInDeployEverything, listDeployEverythingModules,
-    removeDeployEverythingModule, addDeployEverythingModule
+    runDeployEverythingModules, isModuleInDeployEverything, isModuleEnabledInDeployEverything,
+    listDeployEverythingModules,
+    removeDeployEverythingModule, addDeployEverythingModule, addDeployEverythingInclude, moveDeployEverythingModule,
+    planDeployEverythingModules, loadDeployEverythingSettings, getModuleFilename, getVariantSuffixes,
+    getProfileContents, resolveProfileContents, validateDeployEverythingSettings, discoverDeployEverythingModules,
+    getDeployEverythingStatus, diffDeployEverythingModules, findMissingDeployEverythingParameters,
+    estimateDeployEverythingModules, exportDeployEverythingAddresses, getDeployEverythingWatchedFiles
 } = require("./deployments");
-const fs = require("fs");
+const path = require("path");
+const {EventEmitter} = require("events");
+const {
+    loadLayeredParameters, mergeParameters, getBaseParametersFile, saveParameters
+} = require("./parameters");
+const {hasModuleExtension, clearModuleCache} = require("./loader");
+const {
+    expandNetworkTemplate, hasNetworkPlaceholders, parseNetworks, findNetworkByChainId, writeRunReport,
+    getEstimateTarget, runInNetwork
+} = require("./networks");
+const {createReporters} = require("./reporters");
+const {createDeployEverythingFixture} = require("./fixtures");
+const {writeAddressBook} = require("./exports");
+const {watchFiles} = require("./watch");
+const {
+    resolveDeployEverythingConfig, getNetworkDefaults, isProtectedNetwork, isLocalNetwork
+} = require("./config");
 const ignition = scope("ignition");
 
 /**
@@ -21,8 +42,7 @@ async function getModule(hre, module, external, forceNonInteractive) {
         : "Project-relative JavaScript file:";
     return await new hre.enquirerPlus.Enquirer.GivenOrValidInput({
         given: module, validate: (v) => {
-            v = v.trim();
-            return v.endsWith(".js") || v.endsWith(".ts");
+            return hasModuleExtension(v.trim()) || v.trim().endsWith(".json");
         }, onInvalidGiven: (v) => {
             console.log(`Invalid given module file: ${v}`);
         }, makeInvalidInputMessage: (v) => {
@@ -32,6 +52,101 @@ async function getModule(hre, module, external, forceNonInteractive) {
     }).run();
 }
 
+/**
+ * The choice name standing for "type another module path".
+ */
+const OTHER_MODULE = "<other>";
+
+/**
+ * Asks for a module from the user, interactively, by picking it from a list
+ * of choices (the user can still choose to type another path). If the module
+ * is given, there are no choices or interactive commands are not allowed,
+ * this works like getModule.
+ * @param hre The hardhat runtime environment.
+ * @param module The given module.
+ * @param external Tells this is an external module import.
+ * @param choices The {name, message} choices, where each name is a module file.
+ * @param forceNonInteractive Tells that interactive commands
+ * are not allowed by raising an error.
+ * @returns {Promise<string>} The chosen module (async function).
+ */
+async function pickModule(hre, module, external, choices, forceNonInteractive) {
+    if (module || forceNonInteractive || !choices.length) {
+        return await getModule(hre, module, external, forceNonInteractive);
+    }
+    const picked = await new hre.enquirerPlus.Enquirer.GivenOrSelect({
+        given: undefined, nonInteractive: forceNonInteractive, message: "Select the module:",
+        choices: [...choices, {name: OTHER_MODULE, message: "Other (type the path)"}]
+    }).run();
+    return picked === OTHER_MODULE ? await getModule(hre, undefined, external, forceNonInteractive) : picked;
+}
+
+/**
+ * Makes the module choices out of registered entries.
+ * @param entries The registered entries.
+ * @param external Whether to take the external entries or the project ones.
+ * @returns {Array<{name: string, message: string}>} The choices.
+ */
+function makeEntryChoices(entries, external) {
+    return entries.filter((e) => !!e.external === !!external).map((e) => {
+        return {name: e.filename, message: e.filename};
+    });
+}
+
+/**
+ * Makes the module choices out of the modules discovered in the project's
+ * ignition/modules directory. The conditional variants are grouped under
+ * their base module, and the already added modules are marked.
+ * @param hre The hardhat runtime environment.
+ * @param profile The deploy-everything profile to use (by default, the default profile).
+ * @returns {Array<{name: string, message: string}>} The choices.
+ */
+function makeDiscoveredChoices(hre, profile) {
+    return discoverDeployEverythingModules(hre, profile).map((e) => {
+        const variants = e.variants.length ? ` (variants: ${e.variants.join(", ")})` : "";
+        return {name: e.filename, message: `${e.filename}${variants}${e.registered ? " [already added]" : ""}`};
+    });
+}
+
+/**
+ * Tells whether a placement (before, after or position) was given.
+ * @param placement The {before?, after?, position?} structure.
+ * @returns {boolean} Whether any of the placement keys is given.
+ */
+function hasPlacement(placement) {
+    const {before, after, position} = placement || {};
+    return [before, after, position].some((v) => v !== undefined && v !== null);
+}
+
+/**
+ * Asks for the place of a module in the deployment, interactively. This
+ * shows the current list of modules so the user can pick where the module
+ * goes.
+ * @param hre The hardhat runtime environment.
+ * @param module The module being placed. If it is already in the list, it
+ * is not considered as a reference.
+ * @param external Whether the module being placed is external or not.
+ * @param profile The deploy-everything profile to use (by default, the default profile).
+ * @param forceNonInteractive Tells that interactive commands are not allowed
+ * by raising an error.
+ * @returns {Promise<{position: number}>} The chosen placement (async function).
+ */
+async function getPlacement(hre, module, external, profile, forceNonInteractive) {
+    const filename = getModuleFilename(hre, module, external);
+    const contents = getProfileContents(loadDeployEverythingSettings(hre), profile).filter((e) => {
+        return e.filename !== filename || !!e.external !== !!external;
+    });
+    const describe = (e) => `${e.external ? "External file" : "Project file"}: ${e.filename}`;
+    const choices = [...contents.map((e, index) => {
+        return {name: `${index}`, message: `Before ${describe(e)}`};
+    }), {name: `${contents.length}`, message: "At the end"}];
+    const position = await new hre.enquirerPlus.Enquirer.GivenOrSelect({
+        given: undefined, nonInteractive: forceNonInteractive, message: "Select where to place the module:",
+        choices
+    }).run();
+    return {position: parseInt(position)};
+}
+
 /**
  * Adds a module to the deployment.
  * @param hre The hardhat runtime environment.
@@ -42,21 +157,76 @@ async function getModule(hre, module, external, forceNonInteractive) {
  * 2. For files: prompt the user to choose one of the available modules
  *    inside the project's ignition/modules directory. That file is also
  *    import-tried but locally to the project.
+ * A .json file is added as an include entry (i.e. another deploy-everything
+ * settings file whose entries are expanded in place).
  * @param external Whether it is an external path or a project-local one.
+ * @param placement A {before?, after?, position?} structure telling where
+ * to insert the module. If none is given and the module was prompted, this
+ * action also prompts for the place (among the current modules). Otherwise,
+ * the module is appended.
+ * @param conditions A {onlyChains?, exceptChains?} structure telling the chain
+ * conditions of the module (comma-separated chain ids, network names or aliases).
+ * @param profile The deploy-everything profile to use (by default, the default profile).
  * @param forceNonInteractive If true, raises an error when the command tries
  * to become interactive.
  * @returns {Promise<void>} Nothing (async function).
  */
-async function add(hre, module, external, forceNonInteractive) {
-    module = await getModule(hre, module, external, forceNonInteractive);
+async function add(hre, module, external, placement, conditions, profile, forceNonInteractive) {
+    const prompted = !module;
+    module = await pickModule(
+        hre, module, external, external ? [] : makeDiscoveredChoices(hre, profile), forceNonInteractive
+    );
     try {
-        addDeployEverythingModule(hre, module, external);
+        if (prompted && !forceNonInteractive && !hasPlacement(placement) &&
+            getProfileContents(loadDeployEverythingSettings(hre), profile).length) {
+            placement = await getPlacement(hre, module, external, profile, forceNonInteractive);
+        }
+        if (module.trim().endsWith(".json")) {
+            if ((conditions || {}).onlyChains || (conditions || {}).exceptChains) {
+                throw new Error("The chain conditions are not supported when including a settings file.");
+            }
+            addDeployEverythingInclude(hre, module, external, placement, profile);
+            console.log("The settings file was successfully included in the full deployment.");
+            return;
+        }
+        await addDeployEverythingModule(hre, module, external, placement, conditions, profile);
         console.log("The module was successfully added to the full deployment.");
     } catch(e) {
         console.error(e.message || e);
     }
 }
 
+/**
+ * Moves a module to another place in the deployment.
+ * @param hre The hardhat runtime environment.
+ * @param module The path to the module. If not given, this action tries
+ * to become interactive and lists the added modules (only those that are
+ * local or external, depending on whether the external argument is false
+ * or true, respectively).
+ * @param external Whether it is an external path or a project-local one.
+ * @param placement A {before?, after?, position?} structure telling where
+ * to move the module. If none is given, this action tries to become
+ * interactive and lists the current modules to choose the place.
+ * @param profile The deploy-everything profile to use (by default, the default profile).
+ * @param forceNonInteractive If true, raises an error when the command tries
+ * to become interactive.
+ * @returns {Promise<void>} Nothing (async function).
+ */
+async function move(hre, module, external, placement, profile, forceNonInteractive) {
+    module = await pickModule(hre, module, external, makeEntryChoices(
+        getProfileContents(loadDeployEverythingSettings(hre), profile), external
+    ), forceNonInteractive);
+    try {
+        if (!hasPlacement(placement)) {
+            placement = await getPlacement(hre, module, external, profile, forceNonInteractive);
+        }
+        moveDeployEverythingModule(hre, module, external, placement, profile);
+        console.log("The module was successfully moved in the full deployment.");
+    } catch(e) {
+        console.error(e.message || e);
+    }
+}
+
 /**
  * Removes a module from the deployment.
  * @param module The path to the module. If not given, this action tries
@@ -65,14 +235,17 @@ async function add(hre, module, external, forceNonInteractive) {
  * false or true, respectively).
  * @param hre The hardhat runtime environment.
  * @param external Whether it is an external path or a project-local one.
+ * @param profile The deploy-everything profile to use (by default, the default profile).
  * @param forceNonInteractive If true, raises an error when the command tries
  * to become interactive.
  * @returns {Promise<void>} Nothing (async function).
  */
-async function remove(hre, module, external, forceNonInteractive) {
-    module = await getModule(hre, module, external, forceNonInteractive);
+async function remove(hre, module, external, profile, forceNonInteractive) {
+    module = await pickModule(hre, module, external, makeEntryChoices(
+        getProfileContents(loadDeployEverythingSettings(hre), profile), external
+    ), forceNonInteractive);
     try {
-        removeDeployEverythingModule(hre, module, external);
+        removeDeployEverythingModule(hre, module, external, profile);
         console.log("The module was successfully removed to the full deployment.");
     } catch(e) {
         console.error(e.message || e);
@@ -82,10 +255,11 @@ async function remove(hre, module, external, forceNonInteractive) {
 /**
  * Lists all the registered modules in the deployment.
  * @param hre The hardhat runtime environment.
+ * @param profile The deploy-everything profile to use (by default, the default profile).
  * @returns {Promise<void>} Nothing (async function).
  */
-async function list(hre) {
-    const contents = await listDeployEverythingModules(hre);
+async function list(hre, profile) {
+    const contents = await listDeployEverythingModules(hre, profile);
     if (!contents.length) {
         console.log("There are no modules added to the full deployment.");
     } else {
@@ -93,13 +267,187 @@ async function list(hre) {
     }
     contents.forEach((e) => {
         const prefix = e.external ? "External file" : "Project file";
-        console.log(`- ${prefix}: ${e.filename}`);
+        console.log(`- ${prefix}: ${e.filename}${e.enabled ? "" : " (skipped in this network)"}`);
+        if (e.source) {
+            console.log(`  From: ${e.source}`);
+        }
         if (e.moduleResults && e.moduleResults.length) {
             console.log(`  Results: {${e.moduleResults.join(", ")}}`);
         }
+        if (e.error) {
+            console.log(`  Error: ${e.error.message || e.error}`);
+        }
     })
 }
 
+/**
+ * Tells, without sending any transaction, what the run action would do:
+ * which file is loaded for each module (the chain-conditional variant or
+ * the base module) and which futures are already done or still pending
+ * according to the deployment journal.
+ * @param hre The hardhat runtime environment.
+ * @param deploymentId An optional id for the deployment (same semantics of ignition's deploy command).
+ * It might have {network} and {chainId} placeholders.
+ * @param profile The deploy-everything profile to use (by default, the default profile).
+ * @returns {Promise<void>} Nothing (async function).
+ */
+async function plan(hre, deploymentId, profile) {
+    printPlan(hre, await planDeployEverythingModules(hre, await getDeploymentId(hre, deploymentId), profile));
+}
+
+/**
+ * Gets the deployment id to use in the current network: the given one or, by
+ * default, the one configured for the network, with its {network} and {chainId}
+ * placeholders expanded.
+ * @param hre The hardhat runtime environment.
+ * @param deploymentId The given deployment id, if any.
+ * @returns {Promise<string|undefined>} The deployment id (async function).
+ */
+async function getDeploymentId(hre, deploymentId) {
+    return expandNetworkTemplate(
+        deploymentId || getNetworkDefaults(hre).deploymentId, hre.network.name, await hre.common.getChainId()
+    );
+}
+
+/**
+ * Prints the network and the journal of a deployment, as the plan, status and
+ * diff actions do.
+ * @param hre The hardhat runtime environment.
+ * @param report The {chainId, deploymentDir, journal} report of the action.
+ * @param planned Whether this is a plan (which tells what would be deployed) or
+ * not (which tells what is deployed).
+ * @returns {boolean} Whether there is a journal.
+ */
+function printDeploymentHeader(hre, {chainId, deploymentDir, journal}, planned) {
+    console.log(`Network: ${hre.network.name} (chain id: ${chainId})`);
+    if (hre.network.name === "hardhat") {
+        console.log(`The hardhat network is ephemeral: there is no journal, so ${
+            planned ? "everything would be deployed" : "nothing is deployed"
+        }.`);
+        return false;
+    }
+    if (!journal) {
+        console.log(`There is no journal at ${deploymentDir}: ${
+            planned ? "everything would be deployed" : "nothing is deployed yet"
+        }.`);
+        return false;
+    }
+    console.log(`Journal: ${deploymentDir}`);
+    return true;
+}
+
+/**
+ * Prints the file of a module entry (of a plan, status or diff) and, if it
+ * was skipped in this network or could not be loaded, why.
+ * @param e The module entry.
+ * @returns {boolean} Whether the module was loaded (i.e. its details can be printed).
+ */
+function printModuleEntry(e) {
+    console.log(`- ${e.external ? "External file" : "Project file"}: ${e.filename}`);
+    if (e.skipped) {
+        console.log("  Skipped in this network.");
+        return false;
+    }
+    if (e.error) {
+        console.log(`  Error: ${e.error.message || e.error}`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Prints a plan (see planDeployEverythingModules).
+ * @param hre The hardhat runtime environment.
+ * @param plan The {chainId, deploymentDir, journal, modules} plan.
+ */
+function printPlan(hre, plan) {
+    printDeploymentHeader(hre, plan, true);
+    const {modules} = plan;
+    if (!modules.length) {
+        console.log("There are no modules added to the full deployment.");
+        return;
+    }
+    modules.forEach((e) => {
+        if (!printModuleEntry(e)) return;
+        console.log(`  Loads: ${e.file} (${e.variant ? `variant: ${e.variant}` : "base module"})`);
+        console.log(`  Module id: ${e.moduleId}`);
+        e.futures.forEach(({id, status}) => {
+            console.log(`  - ${id}: ${status}`);
+        });
+        console.log(e.pending.length
+            ? `  Would deploy: {${e.pending.join(", ")}}`
+            : "  Nothing to deploy.");
+    });
+}
+
+/**
+ * Tells the status of the deployment according to the ignition journal: for
+ * each module, which futures are done, pending, failed, ... and the addresses
+ * of the contracts deployed so far.
+ * @param hre The hardhat runtime environment.
+ * @param deploymentId An optional id for the deployment (same semantics of ignition's deploy command).
+ * It might have {network} and {chainId} placeholders.
+ * @param profile The deploy-everything profile to use (by default, the default profile).
+ * @returns {Promise<void>} Nothing (async function).
+ */
+async function status(hre, deploymentId, profile) {
+    const report = await getDeployEverythingStatus(hre, await getDeploymentId(hre, deploymentId), profile);
+    const {modules, untracked} = report;
+    printDeploymentHeader(hre, report, false);
+    if (!modules.length) {
+        console.log("There are no modules added to the full deployment.");
+    }
+    const describe = ({id, status, contractName, address}) => {
+        return `${id}: ${status}${address ? ` (${contractName} at ${address})` : ""}`;
+    };
+    modules.forEach((e) => {
+        if (!printModuleEntry(e)) return;
+        console.log(`  Module id: ${e.moduleId}${e.variant ? ` (variant: ${e.variant})` : ""}`);
+        e.futures.forEach((future) => console.log(`  - ${describe(future)}`));
+        const count = (status) => e.futures.filter((future) => future.status === status).length;
+        console.log(
+            `  ${count("done")} done, ${count("pending") + count("started")} pending, ` +
+            `${count("failed")} failed, ${count("timed out")} timed out, ${count("held")} held.`
+        );
+    });
+    if (untracked.length) {
+        console.log("Contracts in the journal not belonging to any of the modules:");
+        untracked.forEach(({id, contractName, address}) => console.log(`- ${id}: ${contractName} at ${address}`));
+    }
+}
+
+/**
+ * Tells which modules changed since they were deployed, by comparing the
+ * runtime bytecode of their results on-chain against the current artifacts
+ * (ignoring metadata hashes, immutables and linked libraries).
+ * @param hre The hardhat runtime environment.
+ * @param deploymentId An optional id for the deployment (same semantics of ignition's deploy command).
+ * It might have {network} and {chainId} placeholders.
+ * @param profile The deploy-everything profile to use (by default, the default profile).
+ * @returns {Promise<void>} Nothing (async function).
+ */
+async function diff(hre, deploymentId, profile) {
+    const report = await diffDeployEverythingModules(hre, await getDeploymentId(hre, deploymentId), profile);
+    const {modules} = report;
+    if (!printDeploymentHeader(hre, report, false)) return;
+    if (!modules.length) {
+        console.log("There are no modules added to the full deployment.");
+        return;
+    }
+    modules.forEach((e) => {
+        if (!printModuleEntry(e)) return;
+        console.log(`  Module id: ${e.moduleId} (${e.changed ? "changed" : "unchanged"})`);
+        e.contracts.forEach(({name, futureId, address, status, error}) => {
+            const where = address ? ` at ${address}` : "";
+            console.log(`  - ${name} (${futureId}${where}): ${status}${error ? ` (${error.message || error})` : ""}`);
+        });
+    });
+    const changed = modules.filter((e) => e.changed);
+    console.log(changed.length
+        ? `Changed since deployed: ${changed.map((e) => e.filename).join(", ")}.`
+        : "No module changed since deployed.");
+}
+
 /**
  * Checks whether a module is added to the full deployment.
  * @param hre The hardhat runtime environment.
@@ -108,101 +456,791 @@ async function list(hre) {
  * are local or external, depending on whether the external argument is
  * false or true, respectively).
  * @param external Whether it is external or local to the project.
+ * @param profile The deploy-everything profile to use (by default, the default profile).
  * @param forceNonInteractive If true, raises an error when the command tries
  * to become interactive.
  */
-async function check(hre, module, external, forceNonInteractive) {
-    module = await getModule(hre, module, external, forceNonInteractive);
-    if (isModuleInDeployEverything(hre, module, external)) {
-        console.log("The module is added to the full deployment.");
+async function check(hre, module, external, profile, forceNonInteractive) {
+    module = await pickModule(hre, module, external, makeEntryChoices(
+        resolveProfileContents(hre, loadDeployEverythingSettings(hre), profile), external
+    ), forceNonInteractive);
+    if (isModuleInDeployEverything(hre, module, external, profile)) {
+        const entry = resolveProfileContents(hre, loadDeployEverythingSettings(hre), profile).find((e) => {
+            return e.filename === getModuleFilename(hre, module, external) && !!e.external === !!external;
+        });
+        console.log(`The module is added to the full deployment${entry.source ? ` (from: ${entry.source})` : ""}.`);
+        if (!await isModuleEnabledInDeployEverything(hre, module, external, profile)) {
+            console.log("However, it is skipped in this network due to its chain conditions.");
+        }
     } else {
         console.log("The module is not added to the full deployment.");
     }
 }
 
 /**
- * Loads the contents of a parameters file.
- * @param file The file to load from.
- * @returns {*} The parameters.
+ * Lists the modules in the project's ignition/modules directory which are not
+ * added to the deployment, and optionally adds them (at the end).
+ * @param hre The hardhat runtime environment.
+ * @param all Whether to add all of them without prompting.
+ * @param profile The deploy-everything profile to use (by default, the default profile).
+ * @param forceNonInteractive If true, the discovered modules are only listed
+ * (unless `all` is given) instead of prompting what to do with them.
+ * @returns {Promise<void>} Nothing (async function).
+ */
+async function discover(hre, all, profile, forceNonInteractive) {
+    const unregistered = discoverDeployEverythingModules(hre, profile).filter((e) => !e.registered);
+    if (!unregistered.length) {
+        console.log("All the modules in ignition/modules are added to the full deployment.");
+        return;
+    }
+    console.log("These modules are not added to the full deployment:");
+    unregistered.forEach((e) => {
+        console.log(`- Project file: ${e.filename}`);
+        if (e.variants.length) {
+            console.log(`  Variants: {${e.variants.join(", ")}}`);
+        }
+    });
+    if (!all && forceNonInteractive) return;
+
+    const choice = await new hre.enquirerPlus.Enquirer.GivenOrSelect({
+        given: all ? "all" : undefined, nonInteractive: forceNonInteractive, message: "Select what to do:",
+        choices: [
+            {name: "all", message: "Add all of them (at the end)"},
+            {name: "pick", message: "Choose which ones to add (at the end)"},
+            {name: "none", message: "Do not add them"}
+        ]
+    }).run();
+    for(const e of unregistered) {
+        if (choice === "none") break;
+        if (choice === "pick") {
+            const answer = await new hre.enquirerPlus.Enquirer.GivenOrSelect({
+                given: undefined, nonInteractive: forceNonInteractive, message: `Add ${e.filename}?`,
+                choices: [{name: "yes", message: "Yes"}, {name: "no", message: "No"}]
+            }).run();
+            if (answer !== "yes") continue;
+        }
+        try {
+            await addDeployEverythingModule(hre, e.filename, false, undefined, undefined, profile);
+            console.log(`Added: ${e.filename}`);
+        } catch(error) {
+            console.error(`Could not add ${e.filename}: ${error.message || error}`);
+        }
+    }
+}
+
+/**
+ * Validates the deploy-everything settings, reporting all the problems found
+ * in the settings file, the modules and their conditional variants. If there
+ * are problems, the process exits with a non-zero code.
+ * @param hre The hardhat runtime environment.
+ * @param profile The deploy-everything profile to validate (by default, all of them).
+ * @returns {Promise<void>} Nothing (async function).
+ */
+async function validate(hre, profile) {
+    const problems = await validateDeployEverythingSettings(hre, profile);
+    if (!problems.length) {
+        console.log("The full deployment settings are valid.");
+        return;
+    }
+    console.log("These problems were found in the full deployment settings:");
+    problems.forEach((problem) => {
+        const prefixes = [
+            ...(problem.profile ? [`Profile ${problem.profile}`] : []),
+            ...(problem.filename ? [`${problem.external ? "External file" : "Project file"} ${problem.filename}`] : [])
+        ];
+        console.log(`- ${prefixes.length ? prefixes.join(", ") + ": " : ""}${problem.message}`);
+    });
+    process.exitCode = 1;
+}
+
+/**
+ * Builds the command line options of the run action.
+ * @param args The {parametersFile, strategyName, deploymentId, defaultSender, verify,
+ * profile, only, skip, from, until, reporter} run arguments.
+ * @returns {Array<string>} The options.
+ */
+function getRunOptions(args) {
+    return [
+        ["--profile", args.profile], ["--deployment-id", args.deploymentId],
+        ["--parameters", args.parametersFile], ["--strategy", args.strategyName],
+        ["--default-sender", args.defaultSender], ["--only", args.only], ["--skip", args.skip],
+        ["--from", args.from], ["--until", args.until], ["--reporter", args.reporter]
+    ].filter(([, value]) => value).flat().concat(
+        args.verify ? ["--verify"] : args.verify === false ? ["--no-verify"] : []
+    );
+}
+
+/**
+ * Prints the summary of a failed run, along with the command to resume it.
+ * @param hre The hardhat runtime environment.
+ * @param summary The {succeeded, failed, notAttempted} entries.
+ * @param args The run arguments used to build the resume command.
+ */
+function printRunFailure(hre, summary, args) {
+    const describe = (e) => `${e.external ? "External file" : "Project file"}: ${e.filename}`;
+    console.log("Succeeded:");
+    summary.succeeded.forEach((e) => console.log(`- ${describe(e)}`));
+    console.log("Failed:");
+    console.log(`- ${describe(summary.failed)}`);
+    console.log("Not attempted:");
+    summary.notAttempted.forEach((e) => console.log(`- ${describe(e)}`));
+    const options = ["--network", hre.network.name, ...getRunOptions({...args, from: summary.failed.filename})];
+    console.log("Fix the problem and resume the deployment with:");
+    console.log(`npx hardhat ignition deploy-everything run ${options.join(" ")}`);
+}
+
+/**
+ * Runs all the registered modules in several networks, one after another
+ * (each one in its own hardhat process, with its own variants, deployment id
+ * and parameters), and prints a combined report at the end. A failure in one
+ * network does not prevent the next networks from running.
+ * @param hre The hardhat runtime environment.
+ * @param networks The comma-separated networks.
+ * @param args The run arguments (see getRunOptions), plus the reset, yes and confirmReset flags.
+ * @returns {Promise<void>} Nothing (async function).
  */
-function loadParameters(file) {
+async function runInNetworks(hre, networks, args) {
     try {
-        const content = fs.readFileSync(file, {encoding: 'utf8'});
-        return JSON.parse(content);
+        networks = parseNetworks(hre, networks);
+        if (networks.length > 1 && args.deploymentId && !hasNetworkPlaceholders(args.deploymentId)) {
+            throw new Error(
+                "When running in several networks, the deployment id must be a template having {network} " +
+                "and/or {chainId} placeholders (e.g. release-{chainId}), so each network gets its own deployment."
+            );
+        }
+        const reportFiles = (args.reporter || "").split(",").map((spec) => {
+            return spec.split("=").slice(1).join("=").trim();
+        });
+        if (networks.length > 1 && reportFiles.some((file) => file && !hasNetworkPlaceholders(file))) {
+            throw new Error(
+                "When running in several networks, the reporter files must have {network} and/or {chainId} " +
+                "placeholders, so each network gets its own report."
+            );
+        }
     } catch(e) {
-        return {};
+        // Nothing ran, but the invocation is wrong: it must not look like a success.
+        process.exitCode = 1;
+        throw e;
+    }
+    const options = [
+        ...getRunOptions(args), ...(args.reset ? ["--reset"] : []), ...(args.confirmReset ? ["--confirm-reset"] : []),
+        ...(args.yes ? ["--yes"] : [])
+    ];
+    const results = [];
+    for(const network of networks) {
+        console.log(`=== Network: ${network} ===`);
+        results.push(await runInNetwork(hre, network, options));
+    }
+
+    console.log("=== Summary ===");
+    results.forEach(({network, code, report}) => {
+        if (!report) {
+            console.log(`- ${network}: failed (the process exited with code ${code} without a report)`);
+            return;
+        }
+        const where = `${network} (chain id: ${report.chainId}, deployment: ${
+            report.deploymentId || `chain-${report.chainId}`
+        })`;
+        if (report.failed) {
+            console.log(
+                `- ${where}: failed at ${report.failed.filename} (${report.succeeded.length} succeeded, ` +
+                `${report.notAttempted.length} not attempted)`
+            );
+        } else if (report.error) {
+            console.log(`- ${where}: failed (${report.error})`);
+        } else {
+            console.log(`- ${where}: succeeded (${report.succeeded.length} modules)`);
+        }
+    });
+    if (results.some(({code, report}) => code || !report || report.failed || report.error)) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Parses a module parameter value typed by the user: JSON values (numbers,
+ * booleans, arrays, objects and quoted strings) are parsed, while anything
+ * else is taken as a plain string. The integers that a number cannot hold
+ * exactly (e.g. token amounts in wei) are kept as strings, which ignition
+ * accepts for uint256 arguments (and which can be saved as JSON).
+ * @param value The typed value.
+ * @returns {*} The parsed value.
+ */
+function parseParameterValue(value) {
+    try {
+        return JSON.parse(value.replace(/"(?:[^"\\]|\\.)*"|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/g, (token) => {
+            return /^-?\d+$/.test(token) && !Number.isSafeInteger(Number(token)) ? `"${token}"` : token;
+        }));
+    } catch(e) {
+        return value;
+    }
+}
+
+/**
+ * Prompts the user for a (non-empty) value.
+ * @param hre The hardhat runtime environment.
+ * @param message The prompt message.
+ * @returns {Promise<string>} The typed value, trimmed (async function).
+ */
+async function promptValue(hre, message) {
+    const value = await new hre.enquirerPlus.Enquirer.GivenOrValidInput({
+        given: undefined, validate: (v) => {
+            return v.trim().length > 0;
+        }, onInvalidGiven: (v) => {
+            console.log(`Invalid given value: ${v}`);
+        }, makeInvalidInputMessage: (v) => {
+            return "A value is required";
+        }, nonInteractive: false, message
+    }).run();
+    return value.trim();
+}
+
+/**
+ * Prompts for the module parameters (with no default value) that are missing
+ * for the modules to run, and optionally saves the answers into the base
+ * parameters file.
+ * @param hre The hardhat runtime environment.
+ * @param parameters The loaded parameters.
+ * @param parametersFile The base parameters file, if explicitly given.
+ * @param profile The deploy-everything profile to use (by default, the default profile).
+ * @param selection A {only?, skip?, from?, until?} structure to select the modules to run.
+ * @returns {Promise<Object>} The parameters, including the answers (async function).
+ */
+async function promptMissingParameters(hre, parameters, parametersFile, profile, selection) {
+    const missing = await findMissingDeployEverythingParameters(hre, parameters, profile, selection);
+    if (!missing.length) return parameters;
+
+    console.log("Some module parameters have no default value and were not given.");
+    const answers = {};
+    for(const {filename, moduleId, name} of missing) {
+        if ((answers[moduleId] || {})[name] !== undefined) continue;
+        const value = await promptValue(hre, `Value for ${moduleId}.${name} (used in ${filename}):`);
+        answers[moduleId] = {...(answers[moduleId] || {}), [name]: parseParameterValue(value)};
+    }
+
+    const file = getBaseParametersFile(hre, parametersFile);
+    const save = await new hre.enquirerPlus.Enquirer.GivenOrSelect({
+        given: undefined, nonInteractive: false, message: `Save the answers into ${file}?`,
+        choices: [{name: "yes", message: "Yes"}, {name: "no", message: "No (only use them for this run)"}]
+    }).run();
+    if (save === "yes") {
+        saveParameters(file, answers);
+        console.log(`Parameters saved into: ${file}`);
     }
+    return mergeParameters(parameters, answers);
+}
+
+/**
+ * Guards a run in a protected network (see isProtectedNetwork): it shows the
+ * plan, the deployer account and its balance, and asks the user to type the
+ * network name to confirm. Resetting the deployment in a protected network
+ * also requires an explicit confirmation.
+ * @param hre The hardhat runtime environment.
+ * @param chainId The chain id.
+ * @param run The {deploymentId, defaultSender, reset, profile, selection} run arguments (the
+ * plan only shows the selected modules).
+ * @param confirmations The {yes, confirmReset, forceNonInteractive} flags: yes skips the
+ * prompt (and is required when non-interactive), and confirmReset allows the reset.
+ * @returns {Promise<boolean>} Whether the run may go on (async function).
+ */
+async function confirmProtectedRun(hre, chainId, run, confirmations) {
+    if (!isProtectedNetwork(hre, chainId)) return true;
+    const network = hre.network.name;
+    if (run.reset && !confirmations.confirmReset) {
+        throw new Error(
+            `The network ${network} is protected: resetting its deployment also requires --confirm-reset.`
+        );
+    }
+    printPlan(hre, await planDeployEverythingModules(hre, run.deploymentId, run.profile, run.selection));
+    if (run.reset) console.log("The deployment will be reset first (its journal will be wiped).");
+    const deployer = run.defaultSender || (await hre.network.provider.request({method: "eth_accounts"}))[0];
+    const balance = BigInt(await hre.network.provider.request({
+        method: "eth_getBalance", params: [deployer, "latest"]
+    }));
+    console.log(`Deployer: ${deployer} (balance: ${formatUnits(balance, 18)} ether)`);
+    if (confirmations.yes) return true;
+    if (confirmations.forceNonInteractive) {
+        throw new Error(`The network ${network} is protected: use --yes to run in it non-interactively.`);
+    }
+    const answer = await promptValue(
+        hre, `The network ${network} (chain id: ${chainId}) is protected. Type its name to confirm the run:`
+    );
+    if (answer !== network) {
+        console.log("The typed name does not match: the run was cancelled.");
+        return false;
+    }
+    return true;
 }
 
 /**
  * Runs all the registered modules in the deployment.
- * @param parametersFile Optionally loads the parameters (same semantics of ignition's deploy command).
+ * @param parametersFile Optionally tells the base parameters file (by default: ignition/parameters.json). The
+ * variant files for the current network (e.g. parameters-80002.json) are layered on top of it.
  * @param strategyName The ignition deployment strategy to use (same semantics of ignition's deploy command).
  * @param deploymentId An optional id for the deployment (same semantics of ignition's deploy command).
+ * It might have {network} and {chainId} placeholders.
  * @param defaultSender The default sender (same semantics of ignition's deploy command).
  * @param reset Whether to reset the deployment state (journal) or not (same semantics of ignition's deploy command).
  * @param verify Whether to run a verify action by the end of the deployment.
+ * @param profile The deploy-everything profile to use (by default, the default profile).
+ * @param selection A {only?, skip?, from?, until?} structure to select the modules to run (by filename
+ * or module id).
+ * The parameters file, strategy, deployment id, default sender and verify arguments default to the
+ * ones configured for the network (see getNetworkDefaults), if not given.
+ * @param networks Optional comma-separated networks to run in, one after another, instead of
+ * the current network (see runInNetworks).
+ * @param reporter Optional comma-separated reporters: console (the default), json and junit (the
+ * file reporters might be given as name=file).
+ * @param forceNonInteractive If true, missing module parameters are reported as an error instead
+ * of prompting for them.
+ * @param confirmations The {yes, confirmReset} flags for the protected networks (see
+ * confirmProtectedRun).
  * @param hre The hardhat runtime environment.
- * @returns {Promise<void>} Nothing (async function).
+ * @returns {Promise<Object|undefined>} The results of the run (see runDeployEverythingModules) if
+ * it ran in the current network and succeeded (async function).
  */
-async function run(hre, parametersFile, strategyName, deploymentId, defaultSender, reset, verify) {
+async function run(
+    hre, parametersFile, strategyName, deploymentId, defaultSender, reset, verify, profile, selection, networks,
+    reporter, forceNonInteractive, confirmations
+) {
+    if (networks) {
+        await runInNetworks(hre, networks, {
+            parametersFile, strategyName, deploymentId, defaultSender, reset, verify, profile, reporter, ...selection,
+            ...confirmations
+        });
+        return;
+    }
+
+    const defaults = getNetworkDefaults(hre);
+    parametersFile = parametersFile || defaults.parameters;
+    strategyName = strategyName || defaults.strategy || "basic";
+    deploymentId = deploymentId || defaults.deploymentId;
+    defaultSender = defaultSender || defaults.defaultSender;
+    verify = verify === undefined ? !!defaults.verify : verify;
     const strategyConfig = hre.config.ignition?.strategyConfig?.[strategyName];
-    await runDeployEverythingModules(hre, reset, {
-        config: {}, strategyConfig, strategy: strategyName, deploymentId, defaultSender,
-        parameters: loadParameters(parametersFile)
+    const chainId = await hre.common.getChainId();
+    deploymentId = expandNetworkTemplate(deploymentId, hre.network.name, chainId);
+    // A refused or cancelled run is a failed one as well (e.g. for CI).
+    const confirmed = await confirmProtectedRun(hre, chainId, {
+        deploymentId, defaultSender, reset, profile, selection
+    }, {...confirmations, forceNonInteractive}).catch((e) => {
+        process.exitCode = 1;
+        throw e;
     });
+    if (!confirmed) {
+        process.exitCode = 1;
+        return;
+    }
+    const events = new EventEmitter();
+    const report = {network: hre.network.name, chainId, deploymentId};
+    const start = Date.now();
+    let reporters = [];
+    let results = null;
+    const end = (success, modules, error) => reporters.forEach((r) => r.end && r.end({
+        ...report, profile: profile || "default", success, duration: Date.now() - start, modules,
+        ...(error ? {error: error.message} : {})
+    }));
+    try {
+        reporters = createReporters(hre, reporter, chainId);
+        reporters.forEach((r) => ["moduleStart", "moduleDone", "moduleFailed"].forEach((name) => {
+            if (r[name]) events.on(name, r[name]);
+        }));
+        const suffixes = getVariantSuffixes(hre, chainId, loadDeployEverythingSettings(hre));
+        let {parameters, files} = loadLayeredParameters(hre, parametersFile, suffixes);
+        files.forEach((file) => console.log(`Using parameters file: ${file}`));
+        if (!forceNonInteractive) {
+            parameters = await promptMissingParameters(hre, parameters, parametersFile, profile, selection);
+        }
+        results = await runDeployEverythingModules(hre, reset, {
+            config: {}, strategyConfig, strategy: strategyName, deploymentId, defaultSender, parameters
+        }, profile, selection, events);
+    } catch(e) {
+        end(false, e.results ? e.results.modules : [], e);
+        writeRunReport({...report, succeeded: [], notAttempted: [], ...e.summary, error: e.message});
+        process.exitCode = 1;
+        if (!e.summary) throw e;
+        console.error(e.message);
+        printRunFailure(hre, e.summary, {
+            parametersFile, strategyName, deploymentId, defaultSender, verify, profile, reporter, ...selection
+        });
+        return;
+    }
+    end(true, results.modules);
+    writeRunReport({...report, succeeded: results.succeeded, notAttempted: []});
     if (verify) {
         await hre.run(
             { scope: "ignition", task: "verify" },
             { deploymentId }
         );
     }
+    return results;
+}
+
+/**
+ * Runs all the registered modules in a local network and then, each time the
+ * contracts, the registered modules (or their conditional variants for this
+ * network), the settings or the parameters files change: recompiles, resets
+ * the deployment and runs them again, printing the new addresses. It stops
+ * when the process is interrupted (Ctrl+C). A failed compilation or run does
+ * not stop the watch: it is retried after the next change.
+ * @param hre The hardhat runtime environment.
+ * @param parametersFile Optionally tells the base parameters file (see run).
+ * @param strategyName The ignition deployment strategy to use (see run).
+ * @param deploymentId An optional id for the deployment (see run).
+ * @param defaultSender The default sender (see run).
+ * @param profile The deploy-everything profile to use (by default, the default profile).
+ * @param selection A {only?, skip?, from?, until?} structure to select the modules to run.
+ * @param networks Must not be given: watching only works in the current network.
+ * @param reporter Optional comma-separated reporters (see run).
+ * @returns {Promise<void>} Nothing (async function).
+ */
+async function watchRun(
+    hre, parametersFile, strategyName, deploymentId, defaultSender, profile, selection, networks, reporter
+) {
+    if (networks) {
+        process.exitCode = 1;
+        throw new Error("The --watch option cannot be used along with --networks.");
+    }
+    const chainId = await hre.common.getChainId();
+    if (!isLocalNetwork(hre, chainId)) {
+        process.exitCode = 1;
+        throw new Error(
+            `The --watch option only works in local networks, and ${hre.network.name} (chain id: ${chainId}) ` +
+            "is not one of them (see the localChainIds setting of the deployEverything config)."
+        );
+    }
+    parametersFile = parametersFile || getNetworkDefaults(hre).parameters;
+    const root = hre.config.paths.root;
+    const redeploy = async () => {
+        try {
+            await hre.run("compile");
+            clearModuleCache(root);
+            const results = await run(
+                hre, parametersFile, strategyName, deploymentId, defaultSender, true, false, profile, selection,
+                undefined, reporter, true, {}
+            );
+            if (!results) return;
+            console.log("Deployed addresses:");
+            results.modules.forEach(({addresses}) => Object.entries(addresses).forEach(([futureId, address]) => {
+                console.log(`- ${futureId}: ${address}`);
+            }));
+        } catch(e) {
+            console.error(e);
+        }
+    };
+
+    await new Promise((resolve, reject) => {
+        let stop = () => {};
+        let stopped = false;
+        let running = false;
+        let pending = false;
+        // Changes noticed while running trigger one more run. The watched files
+        // are collected again after each run, since the settings might change.
+        const cycle = async () => {
+            if (running) {
+                pending = true;
+                return;
+            }
+            running = true;
+            try {
+                do {
+                    pending = false;
+                    await redeploy();
+                } while (pending && !stopped);
+                stop();
+                // Once interrupted, the watchers are not installed again.
+                if (stopped) return;
+                const files = await getDeployEverythingWatchedFiles(hre, parametersFile, profile);
+                stop = watchFiles(files, [hre.config.paths.sources], (changed) => {
+                    changed.forEach((file) => console.log(`Changed: ${path.relative(root, file)}`));
+                    cycle();
+                });
+                console.log("Watching for changes (press Ctrl+C to stop)...");
+            } catch(e) {
+                // Without watchers, nothing would trigger the next run.
+                stopped = true;
+                stop();
+                process.removeListener("SIGINT", interrupt);
+                process.exitCode = 1;
+                reject(e);
+            } finally {
+                running = false;
+            }
+        };
+        const interrupt = () => {
+            stopped = true;
+            stop();
+            resolve();
+        };
+        process.once("SIGINT", interrupt);
+        cycle();
+    });
+}
+
+/**
+ * Parses an amount in a given unit (e.g. gwei) into wei.
+ * @param value The amount (a decimal number, as string).
+ * @param decimals The decimals of the unit (e.g. 9 for gwei).
+ * @returns {bigint} The amount in wei.
+ */
+function parseUnits(value, decimals) {
+    const match = /^(\d+)(?:\.(\d+))?$/.exec(`${value}`.trim());
+    if (!match || (match[2] || "").length > decimals) {
+        throw new Error(`Invalid amount: ${value}.`);
+    }
+    return BigInt(match[1] + (match[2] || "").padEnd(decimals, "0"));
+}
+
+/**
+ * Formats an amount in wei into a given unit (e.g. gwei), with no trailing
+ * zero decimals.
+ * @param value The amount in wei.
+ * @param decimals The decimals of the unit (e.g. 18 for ether).
+ * @returns {string} The formatted amount.
+ */
+function formatUnits(value, decimals) {
+    const text = value.toString().padStart(decimals + 1, "0");
+    const fraction = text.substring(text.length - decimals).replace(/0+$/, "");
+    return text.substring(0, text.length - decimals) + (fraction ? `.${fraction}` : "");
+}
+
+/**
+ * Gets the gas price for an estimation: the given one (in gwei), the one
+ * configured for the current network or, otherwise, the current network's
+ * gas price (eth_gasPrice).
+ * @param hre The hardhat runtime environment.
+ * @param gasPrice The given gas price (in gwei), if any.
+ * @returns {Promise<bigint>} The gas price, in wei (async function).
+ */
+async function getGasPrice(hre, gasPrice) {
+    if (gasPrice) return parseUnits(gasPrice, 9);
+    const configured = (hre.config.networks[hre.network.name] || {}).gasPrice;
+    if (typeof configured === "number") return BigInt(configured);
+    return BigInt(await hre.network.provider.request({method: "eth_gasPrice"}));
+}
+
+/**
+ * Estimates the gas and cost of the full deployment in a target network (the
+ * current one, or the one with the given chain id), by rehearsing it in the
+ * in-process hardhat network: if the current network is another one, this is
+ * done in a child hardhat process (see runInNetwork). Nothing is sent to the
+ * target network.
+ * @param hre The hardhat runtime environment.
+ * @param parametersFile Optionally tells the base parameters file (by default: ignition/parameters.json).
+ * @param strategyName The ignition deployment strategy to use.
+ * @param defaultSender The default sender.
+ * @param profile The deploy-everything profile to use (by default, the default profile).
+ * @param selection A {only?, skip?, from?, until?} structure to select the modules to estimate.
+ * @param chainId The target chain id, whose conditional variants are used (by default, the
+ * current network's chain id).
+ * @param gasPrice The gas price to project the cost with, in gwei (by default, the configured
+ * or current gas price of the current network).
+ * The parameters file, strategy and default sender default to the ones configured for the target
+ * network (see getNetworkDefaults), if not given.
+ * @returns {Promise<void>} Nothing (async function).
+ */
+async function estimate(hre, parametersFile, strategyName, defaultSender, profile, selection, chainId, gasPrice) {
+    let target = getEstimateTarget();
+    if (!target && hre.network.name !== "hardhat") {
+        const {code} = await runInNetwork(hre, "hardhat", getRunOptions({
+            parametersFile, strategyName, defaultSender, profile, ...selection
+        }), "estimate", {
+            network: hre.network.name, chainId: chainId === undefined ? await hre.common.getChainId() : chainId,
+            gasPrice: `${await getGasPrice(hre, gasPrice)}`
+        });
+        if (code) process.exitCode = code;
+        return;
+    }
+    try {
+        if (!target) {
+            chainId = chainId === undefined ? await hre.common.getChainId() : chainId;
+            // When a chain id is given, the network configured with it (if any) is the target.
+            const network = findNetworkByChainId(hre, chainId) || "hardhat";
+            target = {network, chainId, gasPrice: `${await getGasPrice(hre, gasPrice)}`};
+        }
+        const defaults = getNetworkDefaults(hre, target.network);
+        parametersFile = parametersFile || defaults.parameters;
+        strategyName = strategyName || defaults.strategy || "basic";
+        defaultSender = defaultSender || defaults.defaultSender;
+
+        const price = BigInt(target.gasPrice);
+        const suffixes = getVariantSuffixes(hre, target.chainId, loadDeployEverythingSettings(hre), target.network);
+        const {parameters, files} = loadLayeredParameters(hre, parametersFile, suffixes);
+        files.forEach((file) => console.log(`Using parameters file: ${file}`));
+        const strategyConfig = hre.config.ignition?.strategyConfig?.[strategyName];
+        const {modules, gasUsed} = await estimateDeployEverythingModules(hre, target, {
+            parameters, strategy: strategyName, strategyConfig, defaultSender
+        }, profile, selection);
+        const cost = (gas) => `${formatUnits(gas * price, 18)} ether`;
+        console.log(
+            `Network: ${target.network} (chain id: ${target.chainId}), rehearsed in an ephemeral hardhat network`
+        );
+        console.log(`Gas price: ${formatUnits(price, 9)} gwei`);
+        modules.forEach((m) => {
+            console.log(`- ${m.external ? "External file" : "Project file"}: ${m.filename}`);
+            console.log(`  Loads: ${m.file} (${m.variant ? `variant: ${m.variant}` : "base module"})`);
+            Object.entries(m.futures).forEach(([futureId, gas]) => console.log(`  - ${futureId}: ${gas} gas`));
+            console.log(`  Module total: ${m.gasUsed} gas (${cost(m.gasUsed)})`);
+        });
+        console.log(`Total: ${gasUsed} gas (${cost(gasUsed)})`);
+    } catch(e) {
+        // Also when rehearsing for another network: the parent process exits with this code.
+        process.exitCode = 1;
+        throw e;
+    }
+}
+
+/**
+ * Exports the addresses (and ABIs) of the registered modules' results, as
+ * deployed in every chain according to the ignition deployments, into an
+ * address book: a JSON file and a JS/TS module.
+ * @param hre The hardhat runtime environment.
+ * @param deploymentId An optional deployment id template (it might have {network} and {chainId}
+ * placeholders) to choose the deployments to export. Required if a chain has many deployments.
+ * @param profile The deploy-everything profile to use (by default, the default profile).
+ * @param outDir The output directory (by default, deploy-everything-export).
+ * @returns {Promise<void>} Nothing (async function).
+ */
+async function exportAddresses(hre, deploymentId, profile, outDir) {
+    const {book, deployments} = await exportDeployEverythingAddresses(hre, deploymentId, profile);
+    if (!deployments.length) {
+        console.log("There are no ignition deployments to export.");
+        return;
+    }
+    deployments.forEach(({deploymentId, chainId, network, modules}) => {
+        console.log(`Deployment: ${deploymentId} (chain id: ${chainId}${network ? `, network: ${network}` : ""})`);
+        modules.forEach((e) => {
+            const prefix = e.external ? "External file" : "Project file";
+            if (e.skipped) {
+                console.log(`- ${prefix}: ${e.filename} (skipped in this chain)`);
+            } else if (e.error) {
+                console.log(`- ${prefix}: ${e.filename} (error: ${e.error.message || e.error})`);
+            } else {
+                const variant = e.variant ? `variant: ${e.variant}, deployed as: ${e.moduleId}` : "base module";
+                console.log(`- ${prefix}: ${e.filename}`);
+                console.log(`  Exported as: ${e.baseModuleId} (${variant}), ${e.futures.length} contracts`);
+            }
+        });
+    });
+    writeAddressBook(hre, book, outDir).forEach((file) => console.log(`Written: ${file}`));
 }
 
 ignition.task("deploy-everything", "Manages or executes the full deployment in a chain")
-    .addOptionalPositionalParam("action", "The action to execute: add, remove, list, check or run")
+    .addOptionalPositionalParam("action", "The action to execute: add, remove, move, list, discover, check, validate, plan, status, diff, run, estimate or export")
     .addFlag("forceNonInteractive", "Raise an error if one or more params were not specified and the action would become interactive")
-    .addFlag("external", "Tells, for add/remove, that the module comes from an external package")
-    .addOptionalParam("module", "Tells the module to add/remove")
-    .addOptionalParam("parameters", "For the 'run' action: A relative path to a JSON file to use for the module parameters")
-    .addOptionalParam("deploymentId", "For the 'run' action: Set the id of the deployment")
-    .addOptionalParam("defaultSender", "For the 'run' action: Set the default sender for the deployment")
-    .addOptionalParam("strategy", "For the 'run' action: Set the deployment strategy to use", "basic")
+    .addFlag("external", "Tells, for add/remove/move/check, that the module comes from an external package")
+    .addFlag("all", "For the 'discover' action: Add all the discovered modules without prompting")
+    .addOptionalParam("module", "Tells the module to add/remove/move")
+    .addOptionalParam("before", "For the 'add' and 'move' actions: Place the module before this (already added) module")
+    .addOptionalParam("after", "For the 'add' and 'move' actions: Place the module after this (already added) module")
+    .addOptionalParam("position", "For the 'add' and 'move' actions: Place the module at this 0-based index", undefined, types.int)
+    .addOptionalParam("onlyChains", "For the 'add' action: Comma-separated chain ids, network names or aliases: the module only runs there")
+    .addOptionalParam("exceptChains", "For the 'add' action: Comma-separated chain ids, network names or aliases: the module never runs there")
+    .addOptionalParam("parameters", "For the 'run' and 'estimate' actions: A relative path to the base JSON file to use for the module parameters (default: ignition/parameters.json)")
+    .addOptionalParam("deploymentId", "For the 'run', 'plan', 'status', 'diff' and 'export' actions: Set the id of the deployment (it might have {network} and {chainId} placeholders)")
+    .addOptionalParam("defaultSender", "For the 'run' and 'estimate' actions: Set the default sender for the deployment")
+    .addOptionalParam("strategy", "For the 'run' and 'estimate' actions: Set the deployment strategy to use (default: basic)")
     .addFlag("reset", "For the 'run' action: Wipes the existing deployment state before deploying")
+    .addFlag("confirmReset", "For the 'run' action: Allows --reset in protected networks")
+    .addFlag("yes", "For the 'run' action: Skips the confirmation in protected networks")
+    .addFlag("watch", "For the 'run' action: In local networks, reset and run everything again after each change of the contracts, modules or parameters")
     .addFlag("verify", "Verify the deployment on Etherscan")
+    .addFlag("noVerify", "For the 'run' action: Do not verify the deployment, even if the network is configured to")
+    .addOptionalParam("profile", "The deploy-everything profile to use (by default, the default one)")
+    .addOptionalParam("only", "For the 'run' and 'estimate' actions: Comma-separated filenames or module ids to run (only them)")
+    .addOptionalParam("skip", "For the 'run' and 'estimate' actions: Comma-separated filenames or module ids to not run")
+    .addOptionalParam("from", "For the 'run' and 'estimate' actions: The filename or module id to start running from")
+    .addOptionalParam("until", "For the 'run' and 'estimate' actions: The filename or module id to stop running at (inclusive)")
+    .addOptionalParam("reporter", "For the 'run' action: Comma-separated reporters: console (default), json and junit (as json=file or junit=file to choose the file)")
+    .addOptionalParam("networks", "For the 'run' action: Comma-separated networks to run in, one after another (instead of --network)")
+    .addOptionalParam("chainId", "For the 'estimate' action: The target chain id, whose conditional variants are used (default: the current network's)", undefined, types.int)
+    .addOptionalParam("gasPrice", "For the 'estimate' action: The gas price, in gwei, to project the cost with (default: the current network's)")
+    .addOptionalParam("outDir", "For the 'export' action: The directory to write the address book to (default: deploy-everything-export)")
     .setAction(async ({
-        action, forceNonInteractive, external, module, parameters: parametersFile,
-        defaultSender, strategy, deploymentId, reset, verify
+        action, forceNonInteractive, external, all, module, before, after, position, onlyChains, exceptChains,
+        parameters: parametersFile, defaultSender, strategy, deploymentId, reset, verify, noVerify, profile,
+        only, skip, from, until, networks, reporter, chainId, gasPrice, confirmReset, yes, outDir, watch
     }, hre, runSuper) => {
         await hre.run('compile');
         try {
             parametersFile = (parametersFile || "").trim();
+            verify = verify ? true : noVerify ? false : undefined;
             action = await new hre.enquirerPlus.Enquirer.GivenOrSelect({
                 given: action, nonInteractive: forceNonInteractive, message: "Select what to do:",
                 choices: [
                     {name: "add", message: "Add a new deployment module (prompted or via --module)"},
                     {name: "remove", message: "Remove a deployment module (prompted or via --module)"},
+                    {name: "move", message: "Move a deployment module to another place (prompted or via --module)"},
                     {name: "list", message: "List all the deployment modules (sequentially)"},
+                    {name: "discover", message: "List (and optionally add) the modules not yet added"},
+                    {name: "plan", message: "Tell what the execution would do (without sending transactions)"},
+                    {name: "status", message: "Tell how far the deployment got (according to the journal)"},
+                    {name: "diff", message: "Tell which deployed modules changed (compared to the current artifacts)"},
                     {name: "run", message: "Execute all the deployment modules ('till the end)"},
-                    {name: "check", message: "Check whether a module is added"}
+                    {name: "estimate", message: "Estimate the gas and cost of the execution (in an ephemeral network)"},
+                    {name: "export", message: "Export the deployed addresses and ABIs of every chain (address book)"},
+                    {name: "check", message: "Check whether a module is added"},
+                    {name: "validate", message: "Validate the settings, modules and conditional variants"}
                 ]
             }).run();
+            // Without --profile, validate checks all the profiles instead of the configured one.
+            if (action !== "validate") profile = profile || hre.config.deployEverything.profile;
             switch(action)
             {
                 case "add":
-                    await add(hre, module, external, forceNonInteractive);
+                    await add(
+                        hre, module, external, {before, after, position}, {onlyChains, exceptChains}, profile,
+                        forceNonInteractive
+                    );
                     break;
                 case "remove":
-                    await remove(hre, module, external, forceNonInteractive);
+                    await remove(hre, module, external, profile, forceNonInteractive);
+                    break;
+                case "move":
+                    await move(hre, module, external, {before, after, position}, profile, forceNonInteractive);
                     break;
                 case "list":
-                    await list(hre);
+                    await list(hre, profile);
+                    break;
+                case "discover":
+                    await discover(hre, all, profile, forceNonInteractive);
                     break;
                 case "check":
-                    await check(hre, module, external, forceNonInteractive);
+                    await check(hre, module, external, profile, forceNonInteractive);
+                    break;
+                case "validate":
+                    await validate(hre, profile);
+                    break;
+                case "plan":
+                    await plan(hre, deploymentId, profile);
+                    break;
+                case "status":
+                    await status(hre, deploymentId, profile);
+                    break;
+                case "diff":
+                    await diff(hre, deploymentId, profile);
                     break;
                 case "run":
-                    await run(hre, parametersFile, strategy, deploymentId, defaultSender, reset, verify);
+                    if (watch) {
+                        await watchRun(
+                            hre, parametersFile, strategy, deploymentId, defaultSender, profile,
+                            {only, skip, from, until}, networks, reporter
+                        );
+                        break;
+                    }
+                    await run(
+                        hre, parametersFile, strategy, deploymentId, defaultSender, reset, verify, profile,
+                        {only, skip, from, until}, networks, reporter, forceNonInteractive, {yes, confirmReset}
+                    );
+                    break;
+                case "estimate":
+                    await estimate(
+                        hre, parametersFile, strategy, defaultSender, profile, {only, skip, from, until}, chainId,
+                        gasPrice
+                    );
+                    break;
+                case "export":
+                    await exportAddresses(hre, deploymentId, profile, outDir);
                     break;
                 default:
                     console.error("Invalid action: " + action);
@@ -212,6 +1250,10 @@ ignition.task("deploy-everything", "Manages or executes the full deployment in a
         }
     });
 
+extendConfig((config, userConfig) => {
+    config.deployEverything = resolveDeployEverythingConfig(config.paths.root, userConfig.deployEverything);
+});
+
 extendEnvironment((hre) => {
     if (!hre.ignition) {
         throw new Error(
@@ -222,14 +1264,48 @@ extendEnvironment((hre) => {
         );
     }
     hre.ignition.everything = {
-        addDeployEverythingModule: (file, external) => addDeployEverythingModule(hre, file, external),
-        removeDeployEverythingModule: (file, external) => removeDeployEverythingModule(hre, file, external),
-        listDeployEverythingModules: () => listDeployEverythingModules(hre),
-        isModuleInDeployEverything: (file, external) => isModuleInDeployEverything(
-            hre, file, external
+        addDeployEverythingModule: (file, external, placement, conditions, profile) => addDeployEverythingModule(
+            hre, file, external, placement, conditions, profile
+        ),
+        addDeployEverythingInclude: (file, external, placement, profile, includedProfile) => addDeployEverythingInclude(
+            hre, file, external, placement, profile, includedProfile
+        ),
+        removeDeployEverythingModule: (file, external, profile) => removeDeployEverythingModule(
+            hre, file, external, profile
+        ),
+        moveDeployEverythingModule: (file, external, placement, profile) => moveDeployEverythingModule(
+            hre, file, external, placement, profile
+        ),
+        listDeployEverythingModules: (profile) => listDeployEverythingModules(hre, profile),
+        isModuleInDeployEverything: (file, external, profile) => isModuleInDeployEverything(
+            hre, file, external, profile
+        ),
+        isModuleEnabledInDeployEverything: (file, external, profile) => isModuleEnabledInDeployEverything(
+            hre, file, external, profile
+        ),
+        findMissingDeployEverythingParameters: (parameters, profile, selection) => (
+            findMissingDeployEverythingParameters(hre, parameters, profile, selection)
+        ),
+        runDeployEverythingModules: (reset, args, profile, selection, events) => runDeployEverythingModules(
+            hre, reset, args, profile, selection, events
+        ),
+        planDeployEverythingModules: (deploymentId, profile, selection) => planDeployEverythingModules(
+            hre, deploymentId, profile, selection
+        ),
+        getDeployEverythingStatus: (deploymentId, profile) => getDeployEverythingStatus(
+            hre, deploymentId, profile
+        ),
+        diffDeployEverythingModules: (deploymentId, profile) => diffDeployEverythingModules(
+            hre, deploymentId, profile
+        ),
+        validateDeployEverythingSettings: (profile) => validateDeployEverythingSettings(hre, profile),
+        discoverDeployEverythingModules: (profile) => discoverDeployEverythingModules(hre, profile),
+        estimateDeployEverythingModules: (target, args, profile, selection) => estimateDeployEverythingModules(
+            hre, target, args, profile, selection
+        ),
+        exportDeployEverythingAddresses: (deploymentId, profile) => exportDeployEverythingAddresses(
+            hre, deploymentId, profile
         ),
-        runDeployEverythingModules: (reset, args) => runDeployEverythingModules(
-            hre, reset, args
-        )
+        fixture: createDeployEverythingFixture(hre)
     };
-});
\ No newline at end of file
+});
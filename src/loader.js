@@ -0,0 +1,137 @@
+const path = require("path");
+const {pathToFileURL} = require("url");
+
+/**
+ * The extensions supported for module files.
+ */
+const MODULE_EXTENSIONS = [".js", ".cjs", ".mjs", ".ts", ".cts"];
+
+/**
+ * The extensions that need TypeScript support to be loaded.
+ */
+const TYPESCRIPT_EXTENSIONS = [".ts", ".cts"];
+
+/**
+ * The generation of the loaded ES modules. It increases each time the module
+ * cache is cleared, so they are imported again (under a new URL).
+ */
+let generation = 0;
+
+/**
+ * Tells whether a file has one of the supported module extensions.
+ * @param file The file.
+ * @returns {boolean} Whether it is supported or not.
+ */
+function hasModuleExtension(file) {
+    return MODULE_EXTENSIONS.includes(path.extname(file));
+}
+
+/**
+ * Tells whether an error means that a module (or a package path) does not
+ * exist, as opposed to an error while loading an existing one.
+ * @param e The error.
+ * @returns {boolean} Whether it is a not-found error.
+ */
+function isNotFoundError(e) {
+    return ["MODULE_NOT_FOUND", "ERR_MODULE_NOT_FOUND", "ERR_PACKAGE_PATH_NOT_EXPORTED"].includes(e.code);
+}
+
+/**
+ * Makes sure TypeScript files can be required. Hardhat already registers
+ * ts-node in TypeScript-configured projects. Otherwise, ts-node is registered
+ * here (in transpile-only mode) if it is installed.
+ * @param file The file about to be loaded.
+ */
+function ensureTypeScriptSupport(file) {
+    const extension = path.extname(file);
+    if (!TYPESCRIPT_EXTENSIONS.includes(extension) || require.extensions[extension]) return;
+    try {
+        require("ts-node").register({transpileOnly: true});
+    } catch(e) {
+        throw new Error(
+            `Loading the TypeScript module ${file} requires ts-node to be installed ` +
+            `(or a TypeScript-configured hardhat project).`
+        );
+    }
+}
+
+/**
+ * Resolves a module specifier (an absolute file or a package path).
+ * CommonJS resolution is tried first, from the project root (so the
+ * packages are the project's ones, and not the ones of this plugin). If
+ * the specifier is a path of an ESM-only package (i.e. one not exported
+ * for require), then it is resolved by importing it.
+ * @param specifier The specifier to resolve.
+ * @param root The project root.
+ * @returns {Promise<{file: string, esm: boolean}|undefined>} The resolved file (or
+ * the specifier itself, for ESM-only packages) and whether it must be imported
+ * instead of required. If it does not exist, undefined (async function).
+ */
+async function resolveSpecifier(specifier, root) {
+    try {
+        return {file: require.resolve(specifier, {paths: [root]}), esm: false};
+    } catch(e) {
+        if (e.code !== "ERR_PACKAGE_PATH_NOT_EXPORTED") return undefined;
+    }
+
+    try {
+        await import(specifier);
+        return {file: specifier, esm: true};
+    } catch(e) {
+        if (isNotFoundError(e)) return undefined;
+        throw e;
+    }
+}
+
+/**
+ * Gets the URL to import an absolute file with, considering the current
+ * generation of the loaded ES modules.
+ * @param file The absolute file.
+ * @returns {string} The URL.
+ */
+function getFileURL(file) {
+    const url = pathToFileURL(file).href;
+    return generation ? `${url}?generation=${generation}` : url;
+}
+
+/**
+ * Clears the cached project modules (i.e. the files in the project that are
+ * not in node_modules), so the next loads read them again from disk. The ES
+ * modules are not removed from node's cache: they are imported again under a
+ * new URL instead (the files they import are still taken from the cache).
+ * @param root The project root.
+ */
+function clearModuleCache(root) {
+    Object.keys(require.cache).filter((file) => {
+        return file.startsWith(root + path.sep) && !file.split(path.sep).includes("node_modules");
+    }).forEach((file) => delete require.cache[file]);
+    generation++;
+}
+
+/**
+ * Loads an ignition module from an already resolved file. ES modules (.mjs
+ * files, files in "type": "module" packages, and ESM-only packages) are
+ * loaded through dynamic import(), while the other ones are required.
+ * @param file The resolved file (or specifier, for ESM-only packages).
+ * @param esm Whether it is already known that it must be imported.
+ * @returns {Promise<*>} The loaded ignition module (async function).
+ */
+async function loadModuleFile(file, esm) {
+    let loaded = null;
+    if (esm || path.extname(file) === ".mjs") {
+        loaded = await import(path.isAbsolute(file) ? getFileURL(file) : file);
+    } else {
+        ensureTypeScriptSupport(file);
+        try {
+            loaded = require(file);
+        } catch(e) {
+            if (e.code !== "ERR_REQUIRE_ESM" && e.code !== "ERR_REQUIRE_ASYNC_MODULE") throw e;
+            loaded = await import(getFileURL(file));
+        }
+    }
+    return loaded.default === undefined ? loaded : loaded.default;
+}
+
+module.exports = {
+    MODULE_EXTENSIONS, hasModuleExtension, resolveSpecifier, loadModuleFile, clearModuleCache
+}
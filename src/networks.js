@@ -0,0 +1,137 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {spawn} = require("child_process");
+
+/**
+ * The environment variable telling a child run where to write its report.
+ */
+const REPORT_FILE_VARIABLE = "HARDHAT_DEPLOY_EVERYTHING_REPORT_FILE";
+
+/**
+ * The environment variable telling a child estimation its target network.
+ */
+const ESTIMATE_TARGET_VARIABLE = "HARDHAT_DEPLOY_EVERYTHING_ESTIMATE_TARGET";
+
+/**
+ * Expands the placeholders of a per-network template (e.g. a deployment id or
+ * a report file): {network} becomes the network name and {chainId} becomes
+ * the chain id.
+ * @param template The template. It might be undefined.
+ * @param network The network name.
+ * @param chainId The chain id.
+ * @returns {string|undefined} The expanded template.
+ */
+function expandNetworkTemplate(template, network, chainId) {
+    if (!template) return template;
+    return template.replace(/\{(network|chainId)\}/g, (_, key) => `${key === "network" ? network : chainId}`);
+}
+
+/**
+ * Tells whether a per-network template has placeholders (i.e. it can produce
+ * a different value for each network).
+ * @param template The template.
+ * @returns {boolean} Whether it has placeholders.
+ */
+function hasNetworkPlaceholders(template) {
+    return /\{(network|chainId)\}/.test(template || "");
+}
+
+/**
+ * Parses a comma-separated list of networks, which must be configured in the
+ * hardhat project. Duplicates are removed.
+ * @param hre The hardhat runtime environment.
+ * @param networks The comma-separated networks.
+ * @returns {Array<string>} The network names.
+ */
+function parseNetworks(hre, networks) {
+    const names = [...new Set(networks.split(",").map((name) => name.trim()).filter((name) => name.length))];
+    if (!names.length) {
+        throw new Error("No networks were given.");
+    }
+    const unknown = names.filter((name) => !Object.keys(hre.config.networks).includes(name));
+    if (unknown.length) {
+        throw new Error(`These networks are not configured in the hardhat project: ${unknown.join(", ")}.`);
+    }
+    return names;
+}
+
+/**
+ * Finds the configured network having a given chain id in its config. The
+ * hardhat network is not considered.
+ * @param hre The hardhat runtime environment.
+ * @param chainId The chain id.
+ * @returns {string|undefined} The network name, if any.
+ */
+function findNetworkByChainId(hre, chainId) {
+    const [network] = Object.entries(hre.config.networks).find(([name, config]) => {
+        return name !== "hardhat" && config.chainId === chainId;
+    }) || [];
+    return network;
+}
+
+/**
+ * Writes the report of a run, if this run was started by runInNetwork.
+ * @param report The {network, chainId, deploymentId, succeeded, failed?, notAttempted, error?} report.
+ */
+function writeRunReport(report) {
+    const file = process.env[REPORT_FILE_VARIABLE];
+    if (!file) return;
+    fs.writeFileSync(file, JSON.stringify(report), {encoding: 'utf8'});
+}
+
+/**
+ * Gets the target network of an estimation, if this estimation was started by
+ * another one (see runInNetwork).
+ * @returns {{network: string, chainId: number, gasPrice: string}|undefined} The target.
+ */
+function getEstimateTarget() {
+    const target = process.env[ESTIMATE_TARGET_VARIABLE];
+    return target ? JSON.parse(target) : undefined;
+}
+
+/**
+ * Runs a deploy-everything action (by default: `run`) in another network. Since
+ * the hardhat runtime environment is bound to a single network, this is done in
+ * a child hardhat process (with the same config file), which inherits the
+ * standard streams and writes its report for the parent to read.
+ * @param hre The hardhat runtime environment.
+ * @param network The network to run in.
+ * @param args The extra command line arguments for the action.
+ * @param action The action to run.
+ * @param estimateTarget The target network, when the action is `estimate`.
+ * @returns {Promise<{network: string, code: number, report: Object|undefined}>} The
+ * exit code of the child process and its report, if any (async function).
+ */
+async function runInNetwork(hre, network, args, action = "run", estimateTarget = undefined) {
+    const cli = require.resolve("hardhat/internal/cli/cli", {paths: [hre.config.paths.root]});
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "deploy-everything-"));
+    const reportFile = path.join(directory, "report.json");
+    try {
+        const code = await new Promise((resolve, reject) => {
+            const child = spawn(process.execPath, [
+                cli, "--config", hre.config.paths.configFile, "--network", network,
+                "ignition", "deploy-everything", action, "--force-non-interactive", ...args
+            ], {
+                cwd: hre.config.paths.root, stdio: "inherit",
+                env: {
+                    ...process.env, [REPORT_FILE_VARIABLE]: reportFile,
+                    ...(estimateTarget ? {[ESTIMATE_TARGET_VARIABLE]: JSON.stringify(estimateTarget)} : {})
+                }
+            });
+            child.on("error", reject);
+            child.on("close", (code) => resolve(code));
+        });
+        const report = fs.existsSync(reportFile)
+            ? JSON.parse(fs.readFileSync(reportFile, {encoding: 'utf8'}))
+            : undefined;
+        return {network, code, report};
+    } finally {
+        fs.rmSync(directory, {recursive: true, force: true});
+    }
+}
+
+module.exports = {
+    expandNetworkTemplate, hasNetworkPlaceholders, parseNetworks, findNetworkByChainId, writeRunReport,
+    getEstimateTarget, runInNetwork
+}
@@ -0,0 +1,152 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Loads the contents of a parameters file.
+ * @param file The file to load from.
+ * @returns {*} The parameters.
+ */
+function loadParameters(file) {
+    let content = "";
+    try {
+        content = fs.readFileSync(file, {encoding: 'utf8'});
+    } catch(e) {
+        throw new Error(`Could not read the parameters file: ${file}.`);
+    }
+    let parameters = null;
+    try {
+        parameters = JSON.parse(content);
+    } catch(e) {
+        throw new Error(`The parameters file is not valid JSON: ${file} (${e.message}).`);
+    }
+    if (!parameters || typeof parameters !== "object" || Array.isArray(parameters)) {
+        throw new Error(`The parameters file must contain a JSON object: ${file}.`);
+    }
+    return parameters;
+}
+
+/**
+ * Merges ignition parameters (i.e. {ModuleId: {param: value}, $global: {param: value}}
+ * objects). The parameters of each module are merged key by key, and the
+ * latter objects take precedence.
+ * @param parametersList The parameters to merge, in increasing order of precedence.
+ * @returns {Object} The merged parameters.
+ */
+function mergeParameters(...parametersList) {
+    const result = {};
+    parametersList.forEach((parameters) => {
+        Object.entries(parameters || {}).forEach(([moduleId, values]) => {
+            result[moduleId] = {...(result[moduleId] || {}), ...values};
+        });
+    });
+    return result;
+}
+
+/**
+ * Gets the base parameters file: the given one (relative to the project root)
+ * or, by default, ignition/parameters.json.
+ * @param hre The hardhat runtime environment.
+ * @param file The base file, if explicitly given.
+ * @returns {string} The absolute path of the base file.
+ */
+function getBaseParametersFile(hre, file) {
+    return file
+        ? path.resolve(hre.config.paths.root, file)
+        : path.resolve(hre.config.paths.ignition, "parameters.json");
+}
+
+/**
+ * Gets the candidate files of the layered parameters: the base file followed
+ * by its variant files (e.g. parameters-testnet.json), in the order they are
+ * merged. They might not exist.
+ * @param hre The hardhat runtime environment.
+ * @param file The base file, if explicitly given.
+ * @param suffixes The variant suffixes, in order of precedence (see getVariantSuffixes).
+ * @returns {Array<string>} The absolute candidate files.
+ */
+function getParametersFiles(hre, file, suffixes) {
+    const base = getBaseParametersFile(hre, file);
+    const {dir, name, ext} = path.parse(base);
+    return [base, ...[...suffixes].reverse().map((suffix) => path.join(dir, `${name}-${suffix}${ext}`))];
+}
+
+/**
+ * Loads the layered parameters for the current network. The layers are:
+ * 1. The base file (by default: ignition/parameters.json).
+ * 2. The variant files, named after the base file with the same suffixes
+ *    used for the conditional modules (e.g. parameters-testnet.json or
+ *    parameters-80002.json). Those with higher precedence in the module
+ *    variants lookup also take precedence here.
+ * The explicitly given base file must exist. The default base file and the
+ * variant files are optional, but they must be valid when present.
+ * @param hre The hardhat runtime environment.
+ * @param file The base file, if explicitly given.
+ * @param suffixes The variant suffixes, in order of precedence (see getVariantSuffixes).
+ * @returns {{parameters: Object, files: Array<string>}} The merged parameters and the
+ * loaded files (in the order they were merged).
+ */
+function loadLayeredParameters(hre, file, suffixes) {
+    const [base, ...variants] = getParametersFiles(hre, file, suffixes);
+    const files = [...(file || fs.existsSync(base) ? [base] : []), ...variants.filter((f) => fs.existsSync(f))];
+    return {parameters: mergeParameters(...files.map(loadParameters)), files};
+}
+
+/**
+ * Saves parameters into a parameters file, merging them on top of the
+ * parameters the file already has (if it exists).
+ * @param file The file to save into.
+ * @param parameters The parameters to add.
+ */
+function saveParameters(file, parameters) {
+    const current = fs.existsSync(file) ? loadParameters(file) : {};
+    fs.mkdirSync(path.dirname(file), {recursive: true});
+    fs.writeFileSync(
+        file, JSON.stringify(mergeParameters(current, parameters), null, 2) + "\n", {encoding: 'utf8'}
+    );
+}
+
+/**
+ * Collects the module parameters (i.e. `m.getParameter` values) used by the
+ * futures of an ignition module, including the ones of its submodules.
+ * @param module The ignition module.
+ * @returns {Array<{moduleId: string, name: string, defaultValue: *}>} The module
+ * parameters (each one only once).
+ */
+function collectModuleParameters(module) {
+    const found = new Map();
+    const visited = new Set();
+    const visit = (value) => {
+        if (!value || typeof value !== "object" || visited.has(value)) return;
+        visited.add(value);
+        if (value.type === "MODULE_PARAMETER" && typeof value.moduleId === "string") {
+            found.set(`${value.moduleId}/${value.name}`, value);
+            return;
+        }
+        (value instanceof Set || value instanceof Map ? [...value.values()] : Object.values(value)).forEach(visit);
+    };
+    const visitModule = (m) => {
+        for(const future of m.futures || []) visit(future);
+        for(const submodule of m.submodules || []) visitModule(submodule);
+    };
+    visitModule(module);
+    return [...found.values()].map(({moduleId, name, defaultValue}) => ({moduleId, name, defaultValue}));
+}
+
+/**
+ * Finds the module parameters of an ignition module that have no default value
+ * and are not given (neither for their module nor in $global).
+ * @param module The ignition module.
+ * @param parameters The parameters to check against.
+ * @returns {Array<{moduleId: string, name: string}>} The missing parameters.
+ */
+function findMissingParameters(module, parameters) {
+    return collectModuleParameters(module).filter(({moduleId, name, defaultValue}) => {
+        return defaultValue === undefined && (parameters?.[moduleId] || {})[name] === undefined &&
+            (parameters?.$global || {})[name] === undefined;
+    }).map(({moduleId, name}) => ({moduleId, name}));
+}
+
+module.exports = {
+    loadParameters, mergeParameters, getParametersFiles, loadLayeredParameters, getBaseParametersFile,
+    saveParameters, collectModuleParameters, findMissingParameters
+}
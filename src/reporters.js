@@ -0,0 +1,180 @@
+const fs = require("fs");
+const path = require("path");
+const {expandNetworkTemplate} = require("./networks");
+
+/**
+ * The default output files of the file reporters. They might have {network}
+ * and {chainId} placeholders, and are relative to the project root.
+ */
+const DEFAULT_REPORT_FILES = {
+    json: "deploy-everything-report-{network}.json",
+    junit: "deploy-everything-junit-{network}.xml"
+};
+
+/**
+ * Formats a duration in milliseconds as seconds.
+ * @param duration The duration, in milliseconds.
+ * @returns {string} The formatted duration.
+ */
+function formatSeconds(duration) {
+    return (duration / 1000).toFixed(3);
+}
+
+/**
+ * Escapes a text to be used in XML content or attributes.
+ * @param text The text.
+ * @returns {string} The escaped text.
+ */
+function escapeXml(text) {
+    return `${text}`.replace(/[<>&'"]/g, (c) => {
+        return {"<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;"}[c];
+    });
+}
+
+/**
+ * Converts a run report into a plain JSON-friendly object (errors become
+ * their messages).
+ * @param report The run report.
+ * @returns {Object} The plain report.
+ */
+function toPlainReport(report) {
+    return {
+        ...report,
+        modules: report.modules.map((m) => m.error ? {...m, error: m.error.message || `${m.error}`} : m)
+    };
+}
+
+/**
+ * Writes a report file, creating its directory if needed.
+ * @param file The absolute file path.
+ * @param content The content.
+ */
+function writeReportFile(file, content) {
+    fs.mkdirSync(path.dirname(file), {recursive: true});
+    fs.writeFileSync(file, content, {encoding: 'utf8'});
+    console.log(`Report written to: ${file}`);
+}
+
+/**
+ * Creates the human-readable console reporter. It prints the progress of
+ * each module and a final summary.
+ * @returns {Object} The reporter.
+ */
+function createConsoleReporter() {
+    return {
+        moduleStart({filename, source, variant, index, total}) {
+            const details = [source && `from: ${source}`, variant && `variant: ${variant}`].filter((d) => d);
+            console.log(`[${index + 1}/${total}] Deploying ${filename}${
+                details.length ? ` (${details.join(", ")})` : ""
+            }...`);
+        },
+        moduleDone({filename, addresses, duration}) {
+            console.log(`Deployed ${filename} in ${formatSeconds(duration)}s.`);
+            Object.entries(addresses).forEach(([futureId, address]) => console.log(`- ${futureId}: ${address}`));
+        },
+        moduleFailed({filename, duration}) {
+            console.log(`Failed to deploy ${filename} after ${formatSeconds(duration)}s.`);
+        },
+        end({success, modules, duration}) {
+            const count = (status) => modules.filter((m) => m.status === status).length;
+            console.log(
+                `${success ? "Run succeeded" : "Run failed"} in ${formatSeconds(duration)}s: ` +
+                `${count("succeeded")} succeeded, ${count("failed")} failed, ${count("not attempted")} not attempted.`
+            );
+        }
+    };
+}
+
+/**
+ * Creates the JSON file reporter. It writes the whole run report by the end.
+ * @param file The absolute output file.
+ * @returns {Object} The reporter.
+ */
+function createJsonReporter(file) {
+    return {
+        end(report) {
+            writeReportFile(file, JSON.stringify(toPlainReport(report), null, 2) + "\n");
+        }
+    };
+}
+
+/**
+ * Creates the JUnit XML file reporter. It writes the run report by the end:
+ * one test suite for the network and one test case per module (the modules
+ * not attempted are reported as skipped).
+ * @param file The absolute output file.
+ * @returns {Object} The reporter.
+ */
+function createJUnitReporter(file) {
+    return {
+        end({network, chainId, modules, duration, error}) {
+            const suite = `deploy-everything ${network} (chain id: ${chainId})`;
+            const count = (status) => modules.filter((m) => m.status === status).length;
+            // A run failing outside the modules (e.g. in a global hook) is reported as an extra case.
+            const extra = error && !count("failed");
+            const cases = modules.map((m) => {
+                const open = `    <testcase classname="${escapeXml(suite)}" name="${escapeXml(m.filename)}" ` +
+                    `time="${formatSeconds(m.duration)}"`;
+                if (m.status === "succeeded") return `${open}/>`;
+                if (m.status === "not attempted") return `${open}>\n      <skipped/>\n    </testcase>`;
+                const message = m.error ? m.error.message || `${m.error}` : "failed";
+                return `${open}>\n      <failure message="${escapeXml(message)}">${
+                    escapeXml((m.error && m.error.stack) || message)
+                }</failure>\n    </testcase>`;
+            });
+            if (extra) {
+                cases.push(
+                    `    <testcase classname="${escapeXml(suite)}" name="(run)" time="0">\n` +
+                    `      <failure message="${escapeXml(error)}">${escapeXml(error)}</failure>\n    </testcase>`
+                );
+            }
+            const attributes = `name="${escapeXml(suite)}" tests="${cases.length}" ` +
+                `failures="${count("failed") + (extra ? 1 : 0)}" skipped="${count("not attempted")}" ` +
+                `time="${formatSeconds(duration)}"`;
+            writeReportFile(file, [
+                `<?xml version="1.0" encoding="UTF-8"?>`,
+                `<testsuites ${attributes}>`,
+                `  <testsuite ${attributes}>`,
+                ...cases,
+                `  </testsuite>`,
+                `</testsuites>`,
+                ""
+            ].join("\n"));
+        }
+    };
+}
+
+/**
+ * Creates the reporters for a run, out of a comma-separated list of reporter
+ * specs. Each spec is either a reporter name (console, json or junit) or, for
+ * the file reporters, name=file. The files might have {network} and {chainId}
+ * placeholders and are relative to the project root.
+ * @param hre The hardhat runtime environment.
+ * @param specs The comma-separated reporter specs (by default: console).
+ * @param chainId The chain id.
+ * @returns {Array<Object>} The reporters. Each one might have the moduleStart,
+ * moduleDone and moduleFailed event handlers and an end(report) method.
+ */
+function createReporters(hre, specs, chainId) {
+    return (specs || "console").split(",").map((spec) => spec.trim()).filter((spec) => spec).map((spec) => {
+        const [name, ...rest] = spec.split("=");
+        const file = rest.join("=") || DEFAULT_REPORT_FILES[name];
+        const resolve = () => path.resolve(
+            hre.config.paths.root, expandNetworkTemplate(file, hre.network.name, chainId)
+        );
+        switch(name) {
+            case "console":
+                return createConsoleReporter();
+            case "json":
+                return createJsonReporter(resolve());
+            case "junit":
+                return createJUnitReporter(resolve());
+            default:
+                throw new Error(`Unknown reporter: ${name}. Use console, json or junit.`);
+        }
+    });
+}
+
+module.exports = {
+    createReporters
+}
@@ -0,0 +1,245 @@
+/**
+ * The current version of the deploy-everything settings format. The format
+ * is described by the JSON Schema in schema/deploy-everything.schema.json.
+ */
+const SETTINGS_VERSION = 1;
+
+/**
+ * The keys of the global hooks.
+ */
+const GLOBAL_HOOK_KEYS = ["beforeAll", "beforeEach", "afterEach", "afterAll"];
+
+/**
+ * The keys of a module entry, in the order they are saved.
+ */
+const ENTRY_KEYS = ["filename", "external", "onlyChains", "exceptChains", "parameters", "before", "after"];
+
+/**
+ * The keys of an include entry, in the order they are saved.
+ */
+const INCLUDE_ENTRY_KEYS = ["type", "filename", "external", "profile"];
+
+/**
+ * The migrations, indexed by the version they migrate from. Each one takes
+ * the settings in that version and returns them in the next version.
+ * Version 0 stands for the legacy (unversioned) files.
+ */
+const MIGRATIONS = [
+    // 0 -> 1: Adds the version and makes the `external` flag explicit
+    // (legacy files omitted it for the project modules).
+    (settings) => {
+        const migrateContents = (contents) => Array.isArray(contents) ? contents.map((entry) => {
+            return isObject(entry) ? {...entry, external: !!entry.external} : entry;
+        }) : contents;
+        const migrated = {...settings, version: 1, contents: migrateContents(settings.contents || [])};
+        if (isObject(settings.profiles)) {
+            migrated.profiles = Object.fromEntries(Object.entries(settings.profiles).map(([name, profile]) => {
+                return [name, isObject(profile) && profile.contents
+                    ? {...profile, contents: migrateContents(profile.contents)}
+                    : profile];
+            }));
+        }
+        return migrated;
+    }
+];
+
+/**
+ * Tells whether a value is a plain (non-array, non-null) object.
+ * @param value The value.
+ * @returns {boolean} Whether it is a plain object.
+ */
+function isObject(value) {
+    return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Migrates the deploy-everything settings to the current version.
+ * @param settings The settings, in any known version.
+ * @returns {Object} The settings in the current version.
+ */
+function migrateSettings(settings) {
+    if (!isObject(settings)) return settings;
+    let version = settings.version === undefined ? 0 : settings.version;
+    if (!Number.isInteger(version) || version < 0) return settings;
+    if (version > SETTINGS_VERSION) {
+        throw new Error(
+            `The deploy-everything settings file has version ${version}, but this plugin only supports ` +
+            `up to version ${SETTINGS_VERSION}. Upgrade hardhat-ignition-deploy-everything.`
+        );
+    }
+    for(; version < SETTINGS_VERSION; version++) {
+        settings = MIGRATIONS[version](settings);
+    }
+    return settings;
+}
+
+/**
+ * Validates the deploy-everything settings against the current format
+ * (see schema/deploy-everything.schema.json).
+ * @param settings The settings (already migrated).
+ * @returns {Array<string>} The errors, each one telling the path of the
+ * offending value. If the settings are valid, an empty list.
+ */
+function validateSettings(settings) {
+    const errors = [];
+    const error = (where, message) => errors.push(`${where || "(root)"} ${message}`);
+    const isName = (value) => typeof value === "string" && value.length > 0;
+
+    const checkKeys = (value, allowed, where) => {
+        Object.keys(value).filter((key) => !allowed.includes(key)).forEach((key) => {
+            error(where ? `${where}.${key}` : key, "is not an allowed key");
+        });
+    };
+    const checkNames = (value, where) => {
+        if (isName(value)) return;
+        if (!Array.isArray(value)) {
+            error(where, "must be a non-empty string or an array of them");
+            return;
+        }
+        value.forEach((item, index) => {
+            if (!isName(item)) error(`${where}[${index}]`, "must be a non-empty string");
+        });
+    };
+    const checkChains = (value, where) => {
+        if (!Array.isArray(value)) {
+            error(where, "must be an array of chain ids, network names or aliases");
+            return;
+        }
+        value.forEach((chain, index) => {
+            if (!isName(chain) && !(Number.isInteger(chain) && chain >= 0)) {
+                error(`${where}[${index}]`, "must be a chain id (a non-negative integer) or a non-empty string");
+            }
+        });
+    };
+    const checkContents = (contents, where) => {
+        if (!Array.isArray(contents)) {
+            error(where, "must be an array");
+            return;
+        }
+        contents.forEach((entry, index) => {
+            const at = `${where}[${index}]`;
+            if (!isObject(entry)) {
+                error(at, "must be an object");
+                return;
+            }
+            if (entry.type !== undefined && entry.type !== "include") {
+                error(`${at}.type`, `must be "include" (or be absent, for module entries)`);
+                return;
+            }
+            if (!isName(entry.filename)) error(`${at}.filename`, "must be a non-empty string");
+            if (typeof entry.external !== "boolean") error(`${at}.external`, "must be a boolean");
+            if (entry.type === "include") {
+                checkKeys(entry, INCLUDE_ENTRY_KEYS, at);
+                if (entry.profile !== undefined && !isName(entry.profile)) {
+                    error(`${at}.profile`, "must be a non-empty string");
+                }
+                return;
+            }
+            checkKeys(entry, ENTRY_KEYS, at);
+            ["onlyChains", "exceptChains"].forEach((key) => {
+                if (entry[key] !== undefined) checkChains(entry[key], `${at}.${key}`);
+            });
+            if (entry.parameters !== undefined) {
+                if (!isObject(entry.parameters)) {
+                    error(`${at}.parameters`, "must be an object");
+                } else {
+                    Object.entries(entry.parameters).forEach(([moduleId, values]) => {
+                        if (!isObject(values)) error(`${at}.parameters.${moduleId}`, "must be an object");
+                    });
+                }
+            }
+            ["before", "after"].forEach((key) => {
+                if (entry[key] !== undefined) checkNames(entry[key], `${at}.${key}`);
+            });
+        });
+    };
+
+    if (!isObject(settings)) {
+        error("", "must be an object");
+        return errors;
+    }
+    checkKeys(settings, ["$schema", "version", "aliases", "hooks", "contents", "profiles"], "");
+    if (settings.version !== SETTINGS_VERSION) error("version", `must be ${SETTINGS_VERSION}`);
+    if (settings.aliases !== undefined) {
+        if (!isObject(settings.aliases)) {
+            error("aliases", "must be an object");
+        } else {
+            Object.entries(settings.aliases).forEach(([alias, chains]) => {
+                checkChains(chains, `aliases.${alias}`);
+            });
+        }
+    }
+    if (settings.hooks !== undefined) {
+        if (!isObject(settings.hooks)) {
+            error("hooks", "must be an object");
+        } else {
+            checkKeys(settings.hooks, GLOBAL_HOOK_KEYS, "hooks");
+            GLOBAL_HOOK_KEYS.forEach((key) => {
+                if (settings.hooks[key] !== undefined) checkNames(settings.hooks[key], `hooks.${key}`);
+            });
+        }
+    }
+    checkContents(settings.contents, "contents");
+    if (settings.profiles !== undefined) {
+        if (!isObject(settings.profiles)) {
+            error("profiles", "must be an object");
+        } else {
+            Object.entries(settings.profiles).forEach(([name, profile]) => {
+                const at = `profiles.${name}`;
+                if (name === "default") {
+                    error(at, "is reserved (the default profile is the top-level contents)");
+                } else if (!isObject(profile)) {
+                    error(at, "must be an object");
+                } else {
+                    checkKeys(profile, ["extends", "contents"], at);
+                    if (profile.extends !== undefined) checkNames(profile.extends, `${at}.extends`);
+                    if (profile.contents !== undefined) checkContents(profile.contents, `${at}.contents`);
+                }
+            });
+        }
+    }
+    return errors;
+}
+
+/**
+ * Sorts the keys of an object: first the given keys (in order) and then the
+ * remaining ones (in their current order).
+ * @param value The object.
+ * @param keys The keys to put first.
+ * @returns {Object} The new object.
+ */
+function sortKeys(value, keys) {
+    return Object.fromEntries([
+        ...keys.filter((key) => value[key] !== undefined).map((key) => [key, value[key]]),
+        ...Object.entries(value).filter(([key]) => !keys.includes(key))
+    ]);
+}
+
+/**
+ * Serializes the deploy-everything settings in a stable, pretty-printed way
+ * (so they produce reviewable diffs): the current version goes first and the
+ * keys of the settings, profiles and entries are always in the same order.
+ * @param settings The settings.
+ * @returns {string} The serialized settings.
+ */
+function serializeSettings(settings) {
+    const sortContents = (contents) => (contents || []).map((entry) => {
+        return sortKeys(entry, entry.type === "include" ? INCLUDE_ENTRY_KEYS : ENTRY_KEYS);
+    });
+    const sorted = sortKeys({...settings, version: SETTINGS_VERSION, contents: sortContents(settings.contents)}, [
+        "$schema", "version", "aliases", "hooks", "contents", "profiles"
+    ]);
+    if (sorted.hooks) sorted.hooks = sortKeys(sorted.hooks, GLOBAL_HOOK_KEYS);
+    if (sorted.profiles) {
+        sorted.profiles = Object.fromEntries(Object.entries(sorted.profiles).map(([name, profile]) => {
+            const result = sortKeys(profile, ["extends", "contents"]);
+            if (result.contents) result.contents = sortContents(result.contents);
+            return [name, result];
+        }));
+    }
+    return JSON.stringify(sorted, null, 2) + "\n";
+}
+
+module.exports = {
+    SETTINGS_VERSION, migrateSettings, validateSettings, serializeSettings
+}
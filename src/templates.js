@@ -0,0 +1,98 @@
+/**
+ * The pattern of a placeholder inside a parameter value: {{ expression }}.
+ */
+const PLACEHOLDER_PATTERN = /\{\{\s*(.*?)\s*\}\}/g;
+
+/**
+ * Tells whether a parameters object has placeholders in any of its (nested)
+ * string values.
+ * @param value The parameters (or any nested value).
+ * @returns {boolean} Whether it has placeholders.
+ */
+function hasPlaceholders(value) {
+    if (typeof value === "string") return new RegExp(PLACEHOLDER_PATTERN.source).test(value);
+    if (!value || typeof value !== "object") return false;
+    return Object.values(value).some(hasPlaceholders);
+}
+
+/**
+ * Evaluates the expression of a placeholder. The supported expressions are:
+ * - chainId: The current chain id.
+ * - env.NAME: The value of the NAME environment variable.
+ * - accounts[n]: The n-th account of the current network.
+ * - Module#Future.address: The address of a future deployed earlier in the
+ *   same run or in the same deployment id.
+ * @param expression The expression.
+ * @param context The {chainId, getAccounts, getAddresses} context. Both
+ * getAccounts and getAddresses are async functions.
+ * @returns {Promise<*>} The value (async function).
+ */
+async function evaluateExpression(expression, context) {
+    let match;
+    if (expression === "chainId") return context.chainId;
+    if ((match = /^env\.(\w+)$/.exec(expression))) {
+        const value = process.env[match[1]];
+        if (value === undefined) {
+            throw new Error(`The environment variable is not defined: ${match[1]}.`);
+        }
+        return value;
+    }
+    if ((match = /^accounts\[(\d+)]$/.exec(expression))) {
+        const accounts = await context.getAccounts();
+        const index = parseInt(match[1]);
+        if (index >= accounts.length) {
+            throw new Error(`The account index is out of range: ${index} (there are ${accounts.length} accounts).`);
+        }
+        return accounts[index];
+    }
+    if ((match = /^(.+#.+)\.address$/.exec(expression))) {
+        const address = (await context.getAddresses())[match[1]];
+        if (!address) {
+            throw new Error(`The future is not deployed (in this run or deployment id): ${match[1]}.`);
+        }
+        return address;
+    }
+    throw new Error(`Unknown parameter placeholder: {{ ${expression} }}.`);
+}
+
+/**
+ * Resolves the placeholders of a string. A string made of a single placeholder
+ * becomes the placeholder's value as-is (e.g. a number for {{ chainId }}), and
+ * otherwise each placeholder is replaced by its value in the string.
+ * @param text The string.
+ * @param context The context (see evaluateExpression).
+ * @returns {Promise<*>} The resolved value (async function).
+ */
+async function resolveString(text, context) {
+    const whole = /^\{\{\s*([^}]*?)\s*\}\}$/.exec(text);
+    if (whole) return await evaluateExpression(whole[1], context);
+    const values = [];
+    for(const [, expression] of text.matchAll(PLACEHOLDER_PATTERN)) {
+        values.push(await evaluateExpression(expression, context));
+    }
+    return text.replace(PLACEHOLDER_PATTERN, () => `${values.shift()}`);
+}
+
+/**
+ * Resolves the placeholders in all the (nested) string values of the given
+ * parameters. Values without placeholders are kept as-is.
+ * @param value The parameters (or any nested value).
+ * @param context The context (see evaluateExpression).
+ * @returns {Promise<*>} The resolved parameters (async function).
+ */
+async function resolvePlaceholders(value, context) {
+    if (typeof value === "string") return await resolveString(value, context);
+    if (!hasPlaceholders(value)) return value;
+    if (Array.isArray(value)) {
+        const result = [];
+        for(const item of value) result.push(await resolvePlaceholders(item, context));
+        return result;
+    }
+    const result = {};
+    for(const [key, item] of Object.entries(value)) result[key] = await resolvePlaceholders(item, context);
+    return result;
+}
+
+module.exports = {
+    hasPlaceholders, resolvePlaceholders
+}
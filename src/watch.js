@@ -0,0 +1,67 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Watches files and directories for changes. The files are watched through
+ * their parent directories, so creating a file that did not exist is also
+ * noticed. The directories are watched recursively (where node does not
+ * support it, the subdirectories existing at this point are watched one by
+ * one). Bursts of changes (e.g. an editor saving several files) are notified
+ * once, after a quiet delay.
+ * @param files The absolute files to watch.
+ * @param directories The absolute directories to watch recursively.
+ * @param onChange The callback, invoked with the list of changed files.
+ * @param delay The quiet delay, in milliseconds.
+ * @returns {function(): void} A function that stops watching.
+ */
+function watchFiles(files, directories, onChange, delay = 300) {
+    const watched = new Set(files);
+    const changed = new Set();
+    let timer = null;
+    const notify = (file) => {
+        changed.add(file);
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            const list = [...changed];
+            changed.clear();
+            onChange(list);
+        }, delay);
+    };
+
+    const watchers = [];
+    const watch = (dir, recursive, filter) => {
+        if (!fs.existsSync(dir)) return;
+        watchers.push(fs.watch(dir, {recursive}, (event, filename) => {
+            const file = filename ? path.join(dir, `${filename}`) : dir;
+            if (filter(file)) notify(file);
+        }));
+    };
+    const watchTree = (dir) => {
+        watch(dir, false, () => true);
+        fs.readdirSync(dir, {withFileTypes: true}).filter((dirent) => dirent.isDirectory()).forEach((dirent) => {
+            watchTree(path.join(dir, dirent.name));
+        });
+    };
+    directories.forEach((dir) => {
+        try {
+            watch(dir, true, () => true);
+        } catch(e) {
+            if (e.code !== "ERR_FEATURE_UNAVAILABLE_ON_PLATFORM") throw e;
+            // Some node versions cannot watch recursively in some platforms (e.g.
+            // node 18 in linux): each directory of the tree is watched instead.
+            watchTree(dir);
+        }
+    });
+    [...new Set(files.map((file) => path.dirname(file)))].filter((dir) => {
+        return !directories.some((parent) => dir === parent || dir.startsWith(parent + path.sep));
+    }).forEach((dir) => watch(dir, false, (file) => watched.has(file)));
+
+    return () => {
+        clearTimeout(timer);
+        watchers.forEach((watcher) => watcher.close());
+    };
+}
+
+module.exports = {
+    watchFiles
+}